@@ -0,0 +1,789 @@
+#!/usr/bin/env node
+/**
+ * joplin2notion CLI
+ *
+ * One entry point for the import, duplicate detection and URL cleaning
+ * scripts. Settings come from flags, falling back to .env.
+ */
+
+import "dotenv/config";
+import { parseArgs } from "util";
+import { importBookmarks } from "../bookmarks.js";
+import { importNotes } from "../miscellany.js";
+import { importJex } from "../lib/jex.js";
+import { importProfile } from "../lib/profile.js";
+import { detectDuplicates } from "../duplicates.js";
+import { detectCrossDatabaseDuplicates } from "../duplicates-many.js";
+import { processNotionUrls } from "../tidy-urls.js";
+import { checkNotionLinks } from "../check-links.js";
+import { revertNotionUrls } from "../revert-urls.js";
+import { createWaybackLookup } from "../lib/link-health.js";
+import { DUPLICATE_POLICIES } from "../lib/page-index.js";
+import { parseThreshold } from "../lib/titles.js";
+import { SURVIVOR_RULES } from "../lib/resolve.js";
+import { REPORT_FORMATS, reportFormatFor } from "../lib/reports.js";
+import { createNotionClient, useBackend } from "../lib/notion.js";
+import { cloneDatabase, createLocalNotion } from "../lib/local-notion.js";
+
+// Flags shared by several commands
+const FLAGS = {
+  dir: {
+    type: "string",
+    description: "Folder of exported Joplin notes (default: $JOPLIN_DIR)",
+  },
+  archive: {
+    type: "string",
+    description: "Joplin JEX export file",
+  },
+  profile: {
+    type: "string",
+    description: "Joplin profile folder, or its database.sqlite (default: $JOPLIN_PROFILE)",
+  },
+  database: {
+    type: "string",
+    short: "d",
+    multiple: true,
+    description:
+      "Notion database ID; repeat or comma-separate for several (default: $NOTION_DATABASE_ID or $NOTION_DATABASE_IDS)",
+  },
+  "parent-page": {
+    type: "string",
+    description: "Mirror the notebooks as nested pages under this page, instead of a database",
+  },
+  manifest: {
+    type: "string",
+    description: "File recording which notes were already imported",
+  },
+  mapping: {
+    type: "string",
+    short: "m",
+    description: "YAML or JSON file mapping front matter to Notion properties",
+  },
+  "on-duplicate": {
+    type: "string",
+    description: "For notes whose URL is already in the database: skip (default), update or create",
+  },
+  "match-titles": {
+    type: "boolean",
+    description: "Also count a bookmark as already in the database when only its title matches",
+  },
+  "dry-run": {
+    type: "boolean",
+    short: "n",
+    description: "Show what would change without writing to Notion",
+  },
+  apply: {
+    type: "boolean",
+    description: "Write changes to Notion (this command is a dry run by default)",
+  },
+  fuzzy: {
+    type: "boolean",
+    description: "Also report titles that are similar, not just equal",
+  },
+  threshold: {
+    type: "string",
+    description: "Lowest similarity score reported by --fuzzy, from 0 to 1 (default: 0.85)",
+  },
+  "keep-scheme": {
+    type: "boolean",
+    description: "Treat http:// and https:// URLs as different",
+  },
+  "keep-fragment": {
+    type: "boolean",
+    description: "Treat URLs differing only in their #fragment as different",
+  },
+  "ignore-query": {
+    type: "string",
+    multiple: true,
+    description: "Ignore the whole query string of URLs on these domains; repeat or comma-separate",
+  },
+  resolve: {
+    type: "boolean",
+    description: "Merge each group of pages with the same URL into one page and archive the rest (dry run unless --apply)",
+  },
+  "resolve-titles": {
+    type: "boolean",
+    description: "With --resolve, also merge pages that only share a title",
+  },
+  keep: {
+    type: "string",
+    description:
+      "Which page --resolve keeps: oldest (default), most-filled, or database (the first --database listed)",
+  },
+  report: {
+    type: "string",
+    description: "Also write the duplicate groups to a .json, .csv or .md file",
+  },
+  "report-format": {
+    type: "string",
+    description: "Format of --report when the extension doesn't say: json, csv or md",
+  },
+  "expand-redirects": {
+    type: "boolean",
+    description: "Replace short links (bit.ly, t.co, ...) and permanently moved URLs with where they lead",
+  },
+  "redirect-deny": {
+    type: "string",
+    multiple: true,
+    description: "Never contact these domains to follow a redirect; repeat or comma-separate",
+  },
+  journal: {
+    type: "string",
+    description: "Journal of applied URL changes (default: tidy-urls-journal.jsonl)",
+  },
+  domain: {
+    type: "string",
+    multiple: true,
+    description: "Only revert changes to URLs on these domains; repeat or comma-separate",
+  },
+  rule: {
+    type: "string",
+    multiple: true,
+    description: 'Only revert changes made by these rules, e.g. "tracking" or "HTTPS"; repeat or comma-separate',
+  },
+  "max-per-host": {
+    type: "string",
+    description: "Most HTTPS checks sent to one site at once (default: 2)",
+  },
+  "status-property": {
+    type: "string",
+    description: 'Select property for the result of each check (default: "Link status")',
+  },
+  "checked-property": {
+    type: "string",
+    description: 'Date property for when each link was checked (default: "Checked")',
+  },
+  wayback: {
+    type: "boolean",
+    description: "Look up an archived copy of each dead link in the Wayback Machine",
+  },
+  "archive-property": {
+    type: "string",
+    description: 'URL property for the archived copy (default: "Archive link")',
+  },
+  "wayback-endpoint": {
+    type: "string",
+    description: "Wayback-style availability endpoint for --wayback (default: https://archive.org/wayback/available)",
+  },
+  cache: {
+    type: "boolean",
+    description: "Keep a local snapshot of each database and only fetch pages edited since the last run",
+  },
+  offline: {
+    type: "boolean",
+    description: "Use the local snapshots without contacting Notion",
+  },
+  refresh: {
+    type: "boolean",
+    description: "Fetch every page again and replace the local snapshots",
+  },
+  local: {
+    type: "string",
+    description: "Read and write this folder instead of Notion, e.g. to rehearse (default: $NOTION_LOCAL_DIR)",
+  },
+  quiet: {
+    type: "boolean",
+    short: "q",
+    description: "Only print summaries",
+  },
+  "batch-size": {
+    type: "string",
+    short: "b",
+    description: "Number of items processed per batch",
+  },
+  help: {
+    type: "boolean",
+    short: "h",
+    description: "Show help",
+  },
+};
+
+const COMMANDS = {
+  "import-bookmarks": {
+    description: "Import Joplin bookmark notes into a Notion database",
+    flags: [
+      "dir",
+      "database",
+      "parent-page",
+      "manifest",
+      "mapping",
+      "on-duplicate",
+      "match-titles",
+      "dry-run",
+      "local",
+      "quiet",
+    ],
+    run: (args) =>
+      importBookmarks({
+        dir: requireDir(args),
+        ...requireImportTarget(args),
+        manifestFile: args.manifest,
+        mappingFile: args.mapping,
+        onDuplicate: parseDuplicatePolicy(args),
+        matchTitles: args["match-titles"],
+        dryRun: args["dry-run"],
+        verbose: !args.quiet,
+      }),
+  },
+  "import-notes": {
+    description: "Import Joplin notes into a Notion database",
+    flags: ["dir", "database", "parent-page", "manifest", "mapping", "on-duplicate", "dry-run", "local", "quiet"],
+    run: (args) =>
+      importNotes({
+        dir: requireDir(args),
+        ...requireImportTarget(args),
+        manifestFile: args.manifest,
+        mappingFile: args.mapping,
+        onDuplicate: parseDuplicatePolicy(args),
+        dryRun: args["dry-run"],
+        verbose: !args.quiet,
+      }),
+  },
+  "import-jex": {
+    description: "Import a Joplin JEX archive, with its notebooks, tags and resources",
+    flags: ["archive", "database", "parent-page", "manifest", "mapping", "on-duplicate", "dry-run", "local", "quiet"],
+    run: (args) =>
+      importJex({
+        archive: requireArchive(args),
+        ...requireImportTarget(args),
+        manifestFile: args.manifest,
+        mappingFile: args.mapping,
+        onDuplicate: parseDuplicatePolicy(args),
+        dryRun: args["dry-run"],
+        verbose: !args.quiet,
+      }),
+  },
+  "import-profile": {
+    description: "Import every note in a Joplin profile database",
+    flags: ["profile", "database", "parent-page", "manifest", "mapping", "on-duplicate", "dry-run", "local", "quiet"],
+    run: (args) =>
+      importProfile({
+        profile: requireProfile(args),
+        ...requireImportTarget(args),
+        manifestFile: args.manifest,
+        mappingFile: args.mapping,
+        onDuplicate: parseDuplicatePolicy(args),
+        dryRun: args["dry-run"],
+        verbose: !args.quiet,
+      }),
+  },
+  dedupe: {
+    description: "Find duplicate titles and URLs in one Notion database",
+    flags: [
+      "database",
+      "fuzzy",
+      "threshold",
+      "keep-scheme",
+      "keep-fragment",
+      "ignore-query",
+      "resolve",
+      "resolve-titles",
+      "keep",
+      "apply",
+      "dry-run",
+      "report",
+      "report-format",
+      "cache",
+      "offline",
+      "refresh",
+      "batch-size",
+      "local",
+      "quiet",
+    ],
+    run: (args) =>
+      detectDuplicates({
+        databaseId: requireSingleDatabase(args),
+        batchSize: parseBatchSize(args, 100),
+        ...parseFuzzy(args),
+        urlRules: parseUrlRules(args),
+        ...parseResolve(args),
+        ...parseReport(args),
+        ...parseCache(args),
+        verbose: !args.quiet,
+      }),
+  },
+  "dedupe-many": {
+    description: "Find duplicate titles and URLs across several Notion databases",
+    flags: [
+      "database",
+      "fuzzy",
+      "threshold",
+      "keep-scheme",
+      "keep-fragment",
+      "ignore-query",
+      "resolve",
+      "resolve-titles",
+      "keep",
+      "apply",
+      "dry-run",
+      "report",
+      "report-format",
+      "cache",
+      "offline",
+      "refresh",
+      "batch-size",
+      "local",
+      "quiet",
+    ],
+    run: (args) =>
+      detectCrossDatabaseDuplicates({
+        databaseIds: requireDatabases(args),
+        batchSize: parseBatchSize(args, 100),
+        ...parseFuzzy(args),
+        urlRules: parseUrlRules(args),
+        ...parseResolve(args),
+        ...parseReport(args),
+        ...parseCache(args),
+        verbose: !args.quiet,
+      }),
+  },
+  "tidy-urls": {
+    description: "Clean URL properties across Notion databases (dry run unless --apply)",
+    flags: [
+      "database",
+      "apply",
+      "dry-run",
+      "expand-redirects",
+      "redirect-deny",
+      "max-per-host",
+      "journal",
+      "cache",
+      "offline",
+      "refresh",
+      "batch-size",
+      "local",
+      "quiet",
+    ],
+    run: (args) =>
+      processNotionUrls({
+        databaseIds: requireDatabases(args),
+        dryRun: args["dry-run"] || !args.apply,
+        batchSize: parseBatchSize(args, 10),
+        ...parseRedirects(args),
+        maxPerHost: parseMaxPerHost(args),
+        journalFile: args.journal,
+        ...parseCache(args),
+        verbose: !args.quiet,
+      }),
+  },
+  "check-links": {
+    description: "Check URL properties for dead links and record the results (dry run unless --apply)",
+    flags: [
+      "database",
+      "apply",
+      "dry-run",
+      "status-property",
+      "checked-property",
+      "wayback",
+      "archive-property",
+      "wayback-endpoint",
+      "cache",
+      "refresh",
+      "batch-size",
+      "local",
+      "quiet",
+    ],
+    run: (args) =>
+      checkNotionLinks({
+        databaseIds: requireDatabases(args),
+        dryRun: args["dry-run"] || !args.apply,
+        batchSize: parseBatchSize(args, 10),
+        statusProperty: args["status-property"],
+        checkedProperty: args["checked-property"],
+        ...parseArchive(args),
+        ...parseCache(args),
+        verbose: !args.quiet,
+      }),
+  },
+  revert: {
+    description: "Undo URL changes recorded by tidy-urls --apply (dry run unless --apply)",
+    flags: ["journal", "domain", "rule", "apply", "dry-run", "local", "quiet"],
+    run: (args) =>
+      revertNotionUrls({
+        journalFile: args.journal,
+        dryRun: args["dry-run"] || !args.apply,
+        ...parseRevertFilters(args),
+        verbose: !args.quiet,
+      }),
+  },
+  "clone-database": {
+    description: "Copy Notion databases into a --local folder, to rehearse imports and clean-ups against",
+    flags: ["database", "local"],
+    run: async (args) => {
+      if (!args.local) throw new UsageError("Pass --local with the folder to copy into");
+      const notion = createNotionClient();
+      const backend = createLocalNotion({ dir: args.local });
+      for (const databaseId of requireDatabases(args)) {
+        const count = await cloneDatabase(notion, backend, databaseId);
+        console.log(`Copied ${databaseId} (${count} pages) into ${args.local}`);
+      }
+    },
+  },
+};
+
+class UsageError extends Error {}
+
+/**
+ * Collects database IDs from flags or the environment
+ * @param {Object} args - Parsed flags
+ * @returns {string[]}
+ */
+function databaseIds(args) {
+  const values = args.database?.length
+    ? args.database
+    : [process.env.NOTION_DATABASE_IDS || process.env.NOTION_DATABASE_ID || ""];
+  return values
+    .flatMap((value) => value.split(","))
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Gets one or more database IDs, failing if none were given
+ * @param {Object} args - Parsed flags
+ * @returns {string[]}
+ */
+function requireDatabases(args) {
+  const ids = databaseIds(args);
+  if (ids.length === 0) {
+    throw new UsageError("Pass --database or set NOTION_DATABASE_IDS in .env");
+  }
+  return ids;
+}
+
+/**
+ * Gets exactly one database ID
+ * @param {Object} args - Parsed flags
+ * @returns {string}
+ */
+function requireSingleDatabase(args) {
+  const ids = args.database?.length
+    ? databaseIds(args)
+    : [process.env.NOTION_DATABASE_ID].filter(Boolean);
+  if (ids.length !== 1) {
+    throw new UsageError("Pass exactly one --database or set NOTION_DATABASE_ID in .env");
+  }
+  return ids[0];
+}
+
+/**
+ * Gets where to import to: a database, or a parent page for notebook pages
+ * @param {Object} args - Parsed flags
+ * @returns {{databaseId: string}|{parentPageId: string}}
+ */
+function requireImportTarget(args) {
+  if (args["parent-page"]) {
+    if (args.database?.length) {
+      throw new UsageError("Pass either --database or --parent-page, not both");
+    }
+    return { parentPageId: args["parent-page"] };
+  }
+  return { databaseId: requireSingleDatabase(args) };
+}
+
+/**
+ * Gets the Joplin export folder
+ * @param {Object} args - Parsed flags
+ * @returns {string}
+ */
+function requireDir(args) {
+  const dir = args.dir || process.env.JOPLIN_DIR;
+  if (!dir) throw new UsageError("Pass --dir or set JOPLIN_DIR in .env");
+  return dir;
+}
+
+/**
+ * Gets the JEX archive to import
+ * @param {Object} args - Parsed flags
+ * @returns {string}
+ */
+function requireArchive(args) {
+  if (!args.archive) throw new UsageError("Pass --archive with a .jex file");
+  return args.archive;
+}
+
+/**
+ * Gets the Joplin profile to import
+ * @param {Object} args - Parsed flags
+ * @returns {string}
+ */
+function requireProfile(args) {
+  const profile = args.profile || process.env.JOPLIN_PROFILE;
+  if (!profile) throw new UsageError("Pass --profile or set JOPLIN_PROFILE in .env");
+  return profile;
+}
+
+/**
+ * Parses --on-duplicate
+ * @param {Object} args - Parsed flags
+ * @returns {string|undefined}
+ */
+function parseDuplicatePolicy(args) {
+  const policy = args["on-duplicate"];
+  if (policy !== undefined && !DUPLICATE_POLICIES.includes(policy)) {
+    throw new UsageError(`--on-duplicate must be one of ${DUPLICATE_POLICIES.join(", ")}, got ${policy}`);
+  }
+  return policy;
+}
+
+/**
+ * Parses --fuzzy and --threshold
+ * @param {Object} args - Parsed flags
+ * @returns {{fuzzy: boolean, threshold?: number}}
+ */
+function parseFuzzy(args) {
+  if (args.threshold === undefined) return { fuzzy: Boolean(args.fuzzy) };
+  if (!args.fuzzy) throw new UsageError("--threshold only applies with --fuzzy");
+  try {
+    return { fuzzy: true, threshold: parseThreshold(args.threshold) };
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Parses the flags that decide when two URLs are the same
+ * @param {Object} args - Parsed flags
+ * @returns {Object} Equivalence rules for canonicalUrl
+ */
+function parseUrlRules(args) {
+  return {
+    ignoreScheme: !args["keep-scheme"],
+    ignoreFragment: !args["keep-fragment"],
+    ignoreQueryDomains: (args["ignore-query"] ?? [])
+      .flatMap((value) => value.split(","))
+      .map((domain) => domain.trim())
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Parses --resolve, --resolve-titles, --keep and --apply
+ * @param {Object} args - Parsed flags
+ * @returns {{resolve: boolean, resolveTitles: boolean, keep?: string, dryRun: boolean}}
+ */
+function parseResolve(args) {
+  if (!args.resolve && (args.keep !== undefined || args.apply || args["resolve-titles"])) {
+    throw new UsageError("--keep, --resolve-titles and --apply only apply with --resolve");
+  }
+  if (args.keep !== undefined && !SURVIVOR_RULES.includes(args.keep)) {
+    throw new UsageError(`--keep must be one of ${SURVIVOR_RULES.join(", ")}, got ${args.keep}`);
+  }
+  return {
+    resolve: Boolean(args.resolve),
+    resolveTitles: Boolean(args["resolve-titles"]),
+    keep: args.keep,
+    dryRun: args["dry-run"] || !args.apply,
+  };
+}
+
+/**
+ * Parses --report and --report-format
+ * @param {Object} args - Parsed flags
+ * @returns {{reportFile?: string, reportFormat?: string}}
+ */
+function parseReport(args) {
+  const format = args["report-format"];
+  if (format !== undefined) {
+    if (!args.report) throw new UsageError("--report-format only applies with --report");
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new UsageError(`--report-format must be one of ${REPORT_FORMATS.join(", ")}, got ${format}`);
+    }
+  }
+  if (args.report) {
+    try {
+      reportFormatFor(args.report, format);
+    } catch (error) {
+      throw new UsageError(`${error.message}, or pass --report-format`);
+    }
+  }
+  return { reportFile: args.report, reportFormat: format };
+}
+
+/**
+ * Parses --expand-redirects and --redirect-deny
+ * @param {Object} args - Parsed flags
+ * @returns {{expandRedirects: boolean, redirectDenyList: string[]}}
+ */
+function parseRedirects(args) {
+  const denyList = (args["redirect-deny"] ?? [])
+    .flatMap((value) => value.split(","))
+    .map((domain) => domain.trim())
+    .filter(Boolean);
+  if (denyList.length > 0 && !args["expand-redirects"]) {
+    throw new UsageError("--redirect-deny only applies with --expand-redirects");
+  }
+  return { expandRedirects: Boolean(args["expand-redirects"]), redirectDenyList: denyList };
+}
+
+/**
+ * Parses --domain and --rule
+ * @param {Object} args - Parsed flags
+ * @returns {{domains: string[], rules: string[]}}
+ */
+function parseRevertFilters(args) {
+  const list = (values = []) =>
+    values
+      .flatMap((value) => value.split(","))
+      .map((value) => value.trim())
+      .filter(Boolean);
+  return { domains: list(args.domain), rules: list(args.rule) };
+}
+
+/**
+ * Parses --wayback, --wayback-endpoint and --archive-property
+ * @param {Object} args - Parsed flags
+ * @returns {{findArchivedCopy?: Function, archiveProperty?: string}}
+ */
+function parseArchive(args) {
+  if (!args.wayback) {
+    if (args["archive-property"] !== undefined || args["wayback-endpoint"] !== undefined) {
+      throw new UsageError("--archive-property and --wayback-endpoint only apply with --wayback");
+    }
+    return {};
+  }
+  return {
+    findArchivedCopy: createWaybackLookup({ endpoint: args["wayback-endpoint"] }),
+    archiveProperty: args["archive-property"],
+  };
+}
+
+/**
+ * Parses --cache, --offline and --refresh
+ * @param {Object} args - Parsed flags
+ * @returns {{cache: boolean, offline: boolean, refresh: boolean}}
+ */
+function parseCache(args) {
+  if (args.offline && args.refresh) {
+    throw new UsageError("Pass either --offline or --refresh, not both");
+  }
+  if (args.offline && args.apply) {
+    throw new UsageError("--apply writes to Notion, so it can't be used with --offline");
+  }
+  return {
+    cache: Boolean(args.cache || args.offline || args.refresh),
+    offline: Boolean(args.offline),
+    refresh: Boolean(args.refresh),
+  };
+}
+
+/**
+ * Parses --batch-size
+ * @param {Object} args - Parsed flags
+ * @param {number} fallback - Value when the flag isn't given
+ * @returns {number}
+ */
+function parseBatchSize(args, fallback) {
+  if (args["batch-size"] === undefined) return fallback;
+  const size = Number(args["batch-size"]);
+  if (!Number.isInteger(size) || size < 1) {
+    throw new UsageError(`--batch-size must be a positive integer, got ${args["batch-size"]}`);
+  }
+  return size;
+}
+
+/**
+ * Parses --max-per-host
+ * @param {Object} args - Parsed flags
+ * @returns {number|undefined}
+ */
+function parseMaxPerHost(args) {
+  if (args["max-per-host"] === undefined) return undefined;
+  const max = Number(args["max-per-host"]);
+  if (!Number.isInteger(max) || max < 1) {
+    throw new UsageError(`--max-per-host must be a positive integer, got ${args["max-per-host"]}`);
+  }
+  return max;
+}
+
+/**
+ * Formats the help text for the whole CLI or for one command
+ * @param {string} [name] - Command name
+ * @returns {string}
+ */
+function helpText(name) {
+  if (!name) {
+    const width = Math.max(...Object.keys(COMMANDS).map((command) => command.length));
+    return [
+      "Usage: joplin2notion <command> [options]",
+      "",
+      "Commands:",
+      ...Object.entries(COMMANDS).map(
+        ([command, { description }]) => `  ${command.padEnd(width)}  ${description}`
+      ),
+      "",
+      "Run joplin2notion <command> --help for the options of a command.",
+    ].join("\n");
+  }
+
+  const command = COMMANDS[name];
+  const flags = [...command.flags, "help"].map((flag) => {
+    const { short, type, description } = FLAGS[flag];
+    const label = `${short ? `-${short}, ` : "    "}--${flag}${type === "string" ? " <value>" : ""}`;
+    return [label, description];
+  });
+  const width = Math.max(...flags.map(([label]) => label.length));
+
+  return [
+    `Usage: joplin2notion ${name} [options]`,
+    "",
+    command.description,
+    "",
+    "Options:",
+    ...flags.map(([label, description]) => `  ${label.padEnd(width)}  ${description}`),
+  ].join("\n");
+}
+
+/**
+ * Runs the command named by the first argument
+ * @param {string[]} argv - Command-line arguments, without node and the script
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === "--help" || name === "-h" || name === "help") {
+    console.log(helpText());
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new UsageError(`Unknown command: ${name}`);
+  }
+
+  let args;
+  try {
+    const options = Object.fromEntries(
+      [...command.flags, "help"].map((flag) => {
+        const { description, ...option } = FLAGS[flag];
+        return [flag, option];
+      })
+    );
+    ({ values: args } = parseArgs({ args: rest, options, strict: true }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (args.help) {
+    console.log(helpText(name));
+    return;
+  }
+
+  // clone-database reads from Notion and writes the folder itself
+  if (args.local && name !== "clone-database") {
+    useBackend(createLocalNotion({ dir: args.local }));
+  }
+
+  await command.run(args);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  if (error instanceof UsageError) {
+    console.error(`Error: ${error.message}\n`);
+    console.error(helpText(COMMANDS[process.argv[2]] ? process.argv[2] : undefined));
+    process.exit(2);
+  }
+  console.error("Command failed:", error);
+  process.exit(1);
+});
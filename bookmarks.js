@@ -1,18 +1,17 @@
 /**
  * A script to import my Joplin bookmark files to my Bookmarks DB in Notion.
+ *
+ * Run through the CLI (`joplin2notion import-bookmarks`), or directly with
+ * JOPLIN_DIR and NOTION_DATABASE_ID set in .env.
  */
 import 'dotenv/config';
-import { Client } from "@notionhq/client";
 import fs from "fs/promises";
-import path from "path";
+import { fileURLToPath } from "url";
 import yaml from "yaml";
+import { runImport } from "./lib/importer.js";
 
-const NOTION_DATABASE_ID = process.env.NOTION_DATABASE_ID;
-const JOPLIN_DIR = "/mnt/c/Users/mdema/Documents/Joplin/Bookmarks";
-
-const notion = new Client({
-  auth: process.env.NOTION_TOKEN,
-});
+const DEFAULT_MANIFEST_FILE = "bookmarks-manifest.json";
+const DEFAULT_MAPPING_FILE = fileURLToPath(new URL("./mappings/bookmarks.yaml", import.meta.url));
 
 async function parseMarkdownFile(filePath) {
   const content = await fs.readFile(filePath, "utf8");
@@ -24,8 +23,8 @@ async function parseMarkdownFile(filePath) {
   const [_, frontMatter, markdownContent] = frontMatterMatch;
   const metadata = yaml.parse(frontMatter);
 
-  // Extract URL from content (assuming it's on the first line)
-  const url = markdownContent.trim().split("\n")[0];
+  // Extract URL from content (assuming it's on the first line); the rest is notes
+  const [url, ...body] = markdownContent.trim().split("\n");
 
   return {
     title: metadata.title?.replace(/^["']|["']$/g, ""), // Remove quotes if present
@@ -33,96 +32,56 @@ async function parseMarkdownFile(filePath) {
     updated: metadata.updated,
     url: url,
     source: metadata.source,
+    body: body.join("\n").trim(),
+    frontMatter: metadata,
   };
 }
 
-async function createNotionPage(data) {
-  try {
-    await notion.pages.create({
-      parent: {
-        database_id: NOTION_DATABASE_ID,
-      },
-      properties: {
-        Title: {
-          title: [
-            {
-              text: {
-                content: data.title || "Untitled",
-              },
-            },
-          ],
-        },
-        Link: {
-          url: data.source || data.url || null,
-        },
-        Tags: {
-          multi_select: [
-            {
-              name: "joplin",
-            },
-          ],
-        },
-        Description: {
-          rich_text: [
-            {
-              text: {
-                content: '',
-              },
-            },
-          ],
+/**
+ * Imports a Joplin export of bookmark notes into Notion
+ * @param {Object} options - Import options
+ * @param {string} options.dir - Folder of exported Joplin notes, searched recursively
+ * @param {string} [options.databaseId] - Notion database to import into
+ * @param {string} [options.parentPageId] - Page to mirror the notebooks under, instead of a database
+ * @param {string} [options.manifestFile] - Where to record imported files
+ * @param {string} [options.mappingFile] - Front matter to property mapping
+ * @param {string} [options.onDuplicate] - For bookmarks already in the database: skip, update or create
+ * @param {boolean} [options.matchTitles] - Also count a bookmark as already there when only its title matches
+ * @param {boolean} [options.dryRun] - Parse and convert without writing to Notion
+ * @param {boolean} [options.verbose] - Log every file
+ * @returns {Promise<void>}
+ */
+async function importBookmarks(options) {
+  const { manifestFile = DEFAULT_MANIFEST_FILE, mappingFile = DEFAULT_MAPPING_FILE } = options;
+
+  await runImport({
+    ...options,
+    manifestFile,
+    mappingFile,
+    parseNote: async (filePath) => {
+      const data = await parseMarkdownFile(filePath);
+      if (!data) return null;
+
+      return {
+        title: data.title,
+        frontMatter: data.frontMatter,
+        body: data.body,
+        derived: {
+          title: data.title,
+          firstLine: data.url,
+          body: data.body,
         },
-      },
-    });
-
-    console.log(`Successfully imported: ${data.title}`);
-    return true;
-  } catch (error) {
-    console.error(`Failed to import ${data.title}:`, error.message);
-    return false;
-  }
+      };
+    },
+  });
 }
 
-async function importToNotion() {
-  const failedImports = [];
-
-  try {
-    const files = await fs.readdir(JOPLIN_DIR);
+export { importBookmarks, parseMarkdownFile };
 
-    for (const file of files) {
-      if (!file.endsWith(".md")) continue;
-
-      const filePath = path.join(JOPLIN_DIR, file);
-      console.log("Reading", file);
-      const data = await parseMarkdownFile(filePath);
-
-      if (data) {
-        console.log("Read data; creating Notion page for", file);
-        const success = await createNotionPage(data);
-        if (!success) {
-          failedImports.push({ file, title: data.title });
-        }
-        
-        // Add a small delay to avoid rate limits
-        await new Promise((resolve) => setTimeout(resolve, 500));
-      } else {
-        failedImports.push({ file, reason: 'Failed to parse markdown' });
-      }
-    }
-
-    console.log("\nImport completed!");
-    
-    if (failedImports.length > 0) {
-      console.log("\nFailed imports:");
-      failedImports.forEach(({ file, title, reason }) => {
-        console.log(`- ${file}${title ? ` (${title})` : ''}${reason ? `: ${reason}` : ''}`);
-      });
-      console.log(`\nTotal failed imports: ${failedImports.length}`);
-    } else {
-      console.log("All files were imported successfully!");
-    }
-  } catch (error) {
-    console.error("Import failed:", error);
-  }
+// Run directly with settings from .env
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  importBookmarks({
+    dir: process.env.JOPLIN_DIR,
+    databaseId: process.env.NOTION_DATABASE_ID,
+  });
 }
-
-importToNotion();
@@ -0,0 +1,230 @@
+/**
+ * Notion Link Checker
+ *
+ * Checks the URL properties of multiple Notion databases for dead links and
+ * records the result on each page: a status select ("Link status": OK, Not
+ * found, Soft 404, DNS failure, Timeout, ...) and the date of the check
+ * ("Checked"). With an archive lookup, dead links also get an "Archive
+ * link" to a saved copy. Pages are read the same way as tidy-urls.js.
+ * Dry run unless told otherwise. Run through the CLI
+ * (`joplin2notion check-links`), or directly with NOTION_DATABASE_IDS set
+ * in .env.
+ */
+
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { notion, logRequestStats } from "./lib/notion.js";
+import { forEachUrlPage } from "./tidy-urls.js";
+import { DEAD_STATUSES, LINK_STATUSES, checkLink } from "./lib/link-health.js";
+
+dotenv.config();
+
+/**
+ * Checks that a database has a property of the given type
+ * @param {Object} database - Notion database
+ * @param {string} name - Property name
+ * @param {string} type - Expected property type
+ * @returns {string|null} What's wrong, or null
+ */
+function propertyProblem(database, name, type) {
+  const property = database.properties[name];
+  if (!property) return `has no "${name}" property (${type})`;
+  if (property.type !== type) return `property "${name}" is ${property.type}, not ${type}`;
+  return null;
+}
+
+/**
+ * Ranks a link status for choosing the one a page shows
+ * @param {string} status - One of LINK_STATUSES
+ * @returns {number} 2 for a dead link, 1 for other problems, 0 for OK
+ */
+function severity(status) {
+  if (DEAD_STATUSES.has(status)) return 2;
+  return status === LINK_STATUSES.ok ? 0 : 1;
+}
+
+/**
+ * Checks whether a URL can be checked over HTTP
+ * @param {string} url - URL property value
+ * @returns {boolean}
+ */
+function isWebUrl(url) {
+  return /^https?:\/\//i.test(url);
+}
+
+/**
+ * Checks the links in Notion databases and records their health
+ * @param {Object} options - Checking options
+ * @param {string[]} options.databaseIds - Notion databases to check
+ * @param {boolean} [options.dryRun] - Check links without writing to Notion
+ * @param {number} [options.batchSize] - Number of pages checked at once
+ * @param {string} [options.statusProperty] - Select property for the result
+ * @param {string} [options.checkedProperty] - Date property for when the link was checked
+ * @param {string} [options.archiveProperty] - URL property for an archived copy of a dead link
+ * @param {Function} [options.findArchivedCopy] - Takes a URL and resolves to an archived copy's
+ *   URL or null, e.g. createWaybackLookup() from lib/link-health.js
+ * @param {number} [options.timeoutMs] - Time limit for each link
+ * @param {Function} [options.fetcher] - fetch-compatible function for checking links
+ * @param {boolean} [options.cache] - Keep local snapshots and only fetch pages edited since the last run
+ * @param {boolean} [options.refresh] - Fetch every page again and replace the snapshots
+ * @param {boolean} [options.verbose] - List every dead link, not just the totals
+ * @returns {Promise<Object>} Number of links found with each status
+ */
+async function checkNotionLinks(options = {}) {
+  const {
+    databaseIds,
+    dryRun = true,
+    batchSize = 10,
+    statusProperty = "Link status",
+    checkedProperty = "Checked",
+    archiveProperty = "Archive link",
+    findArchivedCopy,
+    timeoutMs,
+    fetcher,
+    cache = false,
+    refresh = false,
+    verbose = true,
+  } = options;
+
+  console.log(`\n=== Notion Link Check ${dryRun ? "(DRY RUN) " : ""}===\n`);
+
+  const stats = {
+    totalDatabases: 0,
+    totalPages: 0,
+    totalLinksChecked: 0,
+    linksSkipped: 0,
+    pagesUpdated: 0,
+    archivedCopiesFound: 0,
+    archiveLookupsFailed: 0,
+    errors: 0,
+  };
+  const statusCounts = Object.fromEntries(Object.values(LINK_STATUSES).map((status) => [status, 0]));
+  const archiveDatabases = new Set(); // Databases with an archive property to fill
+  const checkedOn = new Date().toISOString().slice(0, 10);
+
+  // The result properties must exist before anything can be written
+  const onDatabase = (database, urlProperties) => {
+    const problems = [
+      propertyProblem(database, statusProperty, "select"),
+      propertyProblem(database, checkedProperty, "date"),
+    ].filter(Boolean);
+    if (problems.length > 0) {
+      const message = `Database ${problems.join(" and ")}`;
+      if (!dryRun) throw new Error(message);
+      console.log(`${message}; results can't be saved there`);
+    }
+
+    if (findArchivedCopy && !propertyProblem(database, archiveProperty, "url")) {
+      archiveDatabases.add(database.id);
+    } else if (findArchivedCopy) {
+      console.log(`Database has no "${archiveProperty}" url property; not looking up archived copies`);
+    }
+
+    return urlProperties.filter((property) => property.id !== archiveProperty);
+  };
+
+  const visit = async (page, urlProperties, database) => {
+    const urls = urlProperties
+      .map((property) => page.properties[property.id]?.url)
+      .filter(Boolean);
+    // mailto:, joplin:// and other schemes can't be checked over HTTP
+    const links = urls.filter(isWebUrl);
+    stats.linksSkipped += urls.length - links.length;
+    if (links.length === 0) return;
+
+    // The page's status is its first dead link, else its first link that
+    // isn't OK, so a blocked or slow link can't hide one that's gone
+    let result = null;
+    let checkedUrl = null;
+    for (const url of links) {
+      stats.totalLinksChecked++;
+      const linkResult = await checkLink(url, { timeoutMs, fetcher });
+      statusCounts[linkResult.status]++;
+      if (!result || severity(linkResult.status) > severity(result.status)) {
+        result = linkResult;
+        checkedUrl = url;
+      }
+    }
+
+    const properties = {
+      [statusProperty]: { select: { name: result.status } },
+      [checkedProperty]: { date: { start: checkedOn } },
+    };
+
+    let archivedCopy = null;
+    if (
+      archiveDatabases.has(database.id) &&
+      DEAD_STATUSES.has(result.status) &&
+      !page.properties[archiveProperty]?.url
+    ) {
+      // A failed lookup is tried again next run; the status is still recorded
+      try {
+        archivedCopy = await findArchivedCopy(checkedUrl);
+      } catch (error) {
+        stats.archiveLookupsFailed++;
+        console.error(`Archive lookup failed for ${checkedUrl}:`, error.message);
+      }
+      if (archivedCopy) {
+        stats.archivedCopiesFound++;
+        properties[archiveProperty] = { url: archivedCopy };
+      }
+    }
+
+    if (verbose && result.status !== LINK_STATUSES.ok) {
+      const httpStatus = result.httpStatus ? ` (${result.httpStatus})` : "";
+      console.log(`\nPage: ${page.url}`);
+      console.log(`Link: ${checkedUrl}`);
+      console.log(`Status: ${result.status}${httpStatus}${result.detail ? `: ${result.detail}` : ""}`);
+      if (archivedCopy) console.log(`Archived copy: ${archivedCopy}`);
+    }
+
+    if (!dryRun) {
+      await notion.pages.update({ page_id: page.id, properties });
+      stats.pagesUpdated++;
+    }
+  };
+
+  await forEachUrlPage(
+    { databaseIds, batchSize, fetchOptions: { cache, refresh }, onDatabase },
+    stats,
+    visit
+  );
+
+  // Print summary
+  console.log("\n=== Summary ===");
+  console.log(`Databases processed: ${stats.totalDatabases}`);
+  console.log(`Pages processed: ${stats.totalPages}`);
+  console.log(`Links checked: ${stats.totalLinksChecked}`);
+  Object.entries(statusCounts)
+    .filter(([, count]) => count > 0)
+    .forEach(([status, count]) => console.log(`- ${status}: ${count}`));
+  console.log(`Links skipped (not http or https): ${stats.linksSkipped}`);
+  if (findArchivedCopy) {
+    console.log(`Archived copies found: ${stats.archivedCopiesFound}`);
+    console.log(`Archive lookups failed: ${stats.archiveLookupsFailed}`);
+  }
+  console.log(`Pages updated: ${stats.pagesUpdated}`);
+  console.log(`Errors encountered: ${stats.errors}`);
+  logRequestStats();
+
+  if (dryRun && stats.totalLinksChecked > 0) {
+    console.log("\n⚠️  This was a dry run. No changes were made to Notion.");
+    console.log("Run with --apply to record the results.");
+  }
+
+  return statusCounts;
+}
+
+export { checkNotionLinks };
+
+// Run the script directly with settings from .env
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  checkNotionLinks({
+    // Comma-separated list of database IDs in .env
+    databaseIds: process.env.NOTION_DATABASE_IDS.split(","),
+    dryRun: true, // Set to false to record the results in Notion
+  }).catch((error) => {
+    console.error("Script failed:", error);
+    process.exit(1);
+  });
+}
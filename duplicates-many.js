@@ -1,51 +1,31 @@
 /**
  * Detect duplicates across multiple Notion databases.
  *
- * Checks for duplicates based on normalized URLs and exact title matches
- * across a list of specified Notion databases.
+ * Checks for duplicates based on normalized URLs (canonicalUrl in
+ * lib/urls.js) and exact title matches across a list of specified Notion
+ * databases. Pages linked by either, directly or through other pages, form
+ * one cluster that is reported once with the reason for each link. With
+ * `fuzzy` set, also reports titles that are similar rather than equal, with
+ * their similarity scores. With `resolve` set, keeps one page of each
+ * cluster of pages sharing URLs and archives the rest (see lib/resolve.js);
+ * pages linked by a title only count with `resolveTitles`. Groups can also be
+ * written to a JSON, CSV or Markdown report, and the exit status is 3 when
+ * duplicates remain. Pages can be read from local snapshots (see
+ * lib/snapshots.js) to skip paging through every database.
+ * Run through the CLI (`joplin2notion dedupe-many`), or directly with
+ * NOTION_DATABASE_IDS set in .env.
  */
-import { Client } from "@notionhq/client";
+import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import { notion, logRequestStats } from "./lib/notion.js";
+import { canonicalUrl } from "./lib/urls.js";
+import { DEFAULT_THRESHOLD, findSimilarTitles } from "./lib/titles.js";
+import { resolveDuplicates } from "./lib/resolve.js";
+import { DUPLICATES_FOUND_EXIT_CODE, reportFormatFor, writeReport } from "./lib/reports.js";
+import { fetchDatabase, forgetPages } from "./lib/snapshots.js";
 
 dotenv.config();
 
-const notion = new Client({
-  auth: process.env.NOTION_TOKEN,
-});
-
-// Comma-separated list of database IDs in .env
-const DATABASE_IDS = process.env.NOTION_DATABASE_IDS.split(",");
-
-// Function to normalize URLs for comparison (kept from original)
-function normalizeUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    let normalized = urlObj.href
-      .replace(/^https?:\/\//, "")
-      .replace(/^www\./, "")
-      .replace(/\/$/, "");
-
-    const cleanUrl = new URL(url);
-    const searchParams = new URLSearchParams(cleanUrl.search);
-    const paramsToRemove = [
-      "utm_source",
-      "utm_medium",
-      "utm_campaign",
-      "utm_term",
-      "utm_content",
-      "fbclid",
-      "ref",
-    ];
-
-    paramsToRemove.forEach((param) => searchParams.delete(param));
-    cleanUrl.search = searchParams.toString();
-
-    return normalized;
-  } catch (error) {
-    return url;
-  }
-}
-
 // Function to find URL property in database schema
 async function findUrlProperty(schema) {
   for (const [propertyId, property] of Object.entries(schema)) {
@@ -56,26 +36,6 @@ async function findUrlProperty(schema) {
   return null;
 }
 
-// Function to get all pages from a database
-async function getAllPages(databaseId) {
-  let pages = [];
-  let hasMore = true;
-  let startCursor = undefined;
-
-  while (hasMore) {
-    const response = await notion.databases.query({
-      database_id: databaseId,
-      start_cursor: startCursor,
-    });
-
-    pages = pages.concat(response.results);
-    hasMore = response.has_more;
-    startCursor = response.next_cursor;
-  }
-
-  return pages;
-}
-
 // Structure to hold duplicate information
 class DuplicateEntry {
   constructor(type, value, pages) {
@@ -93,18 +53,118 @@ class DuplicateEntry {
   }
 }
 
-async function detectCrossDatabaseDuplicates() {
+// Groups pages linked by shared titles or URLs, directly or through other
+// pages, so each cluster is reported once whichever link is seen first
+class PageClusters {
+  constructor() {
+    this.parent = new Map(); // Page ID => parent page ID (union-find)
+    this.links = []; // Duplicate entries linking two or more pages
+  }
+
+  find(pageId) {
+    if (!this.parent.has(pageId)) this.parent.set(pageId, pageId);
+    let root = pageId;
+    while (this.parent.get(root) !== root) root = this.parent.get(root);
+    // Point every page on the way straight at the root
+    while (pageId !== root) {
+      const next = this.parent.get(pageId);
+      this.parent.set(pageId, root);
+      pageId = next;
+    }
+    return root;
+  }
+
+  link(entry) {
+    const [first, ...rest] = entry.getPages().map((page) => page.id);
+    for (const pageId of rest) {
+      const a = this.find(first);
+      const b = this.find(pageId);
+      if (a !== b) this.parent.set(b, a);
+    }
+    this.links.push(entry);
+  }
+
+  getClusters() {
+    const clusters = new Map(); // Root page ID => {pages, links}
+    for (const entry of this.links) {
+      const pages = entry.getPages();
+      const root = this.find(pages[0].id);
+      if (!clusters.has(root)) clusters.set(root, { pages: new Map(), links: [] });
+      const cluster = clusters.get(root);
+      pages.forEach((page) => cluster.pages.set(page.id, page));
+      cluster.links.push(entry);
+    }
+    return Array.from(clusters.values(), (cluster) => ({
+      pages: Array.from(cluster.pages.values()),
+      links: cluster.links,
+    }));
+  }
+}
+
+/**
+ * Reports duplicate titles and URLs across several Notion databases
+ * @param {Object} options - Detection options
+ * @param {string[]} options.databaseIds - Notion databases to check
+ * @param {number} [options.batchSize] - Pages fetched per query
+ * @param {boolean} [options.fuzzy] - Also report similar titles
+ * @param {number} [options.threshold] - Lowest similarity reported in fuzzy mode, from 0 to 1
+ * @param {boolean} [options.resolve] - Merge and archive pages with the same URL
+ * @param {boolean} [options.resolveTitles] - Also resolve pages linked by a shared title
+ * @param {string} [options.keep] - Which page of a group survives: oldest, most-filled,
+ *   or database (the page in the earliest of databaseIds)
+ * @param {boolean} [options.dryRun] - Show what resolving would change without doing it
+ * @param {Object} [options.urlRules] - When URLs count as the same, see DEFAULT_EQUIVALENCE in lib/urls.js
+ * @param {string} [options.reportFile] - Also write the groups to this file
+ * @param {string} [options.reportFormat] - json, csv or md; defaults to the file extension
+ * @param {boolean} [options.cache] - Keep local snapshots and only fetch pages edited since the last run
+ * @param {boolean} [options.offline] - Use the local snapshots without contacting Notion
+ * @param {boolean} [options.refresh] - Fetch every page again and replace the snapshots
+ * @param {boolean} [options.verbose] - List every duplicate, not just the total
+ * @returns {Promise<Object[]|null>} The duplicate groups, or null if the check failed
+ */
+async function detectCrossDatabaseDuplicates(options) {
+  const {
+    databaseIds,
+    batchSize = 100,
+    fuzzy = false,
+    threshold = DEFAULT_THRESHOLD,
+    resolve = false,
+    resolveTitles = false,
+    keep = "oldest",
+    dryRun = true,
+    reportFile,
+    reportFormat,
+    urlRules = {},
+    cache = false,
+    offline = false,
+    refresh = false,
+    verbose = true,
+  } = options;
+
+  // Key under which URLs that count as the same are grouped
+  const normalizeUrl = (url) => canonicalUrl(url, urlRules);
+
   try {
+    // A report that can't be written should stop the run before anything is fetched or changed
+    const format = reportFile ? reportFormatFor(reportFile, reportFormat) : undefined;
+
     const duplicateMap = new Map(); // Map to store all duplicates
     const processedPages = new Set(); // Track processed pages to avoid duplicate reporting
+    const titledPages = []; // Pages with a title, for fuzzy matching
+    const pagesById = new Map(); // Full pages, for resolving
+    const reportPages = new Map(); // Page ID => details for the report file
+    const databases = [];
 
     // Process each database
-    for (const dbId of DATABASE_IDS) {
+    for (const dbId of databaseIds) {
       console.log(`\nProcessing database: ${dbId}`);
 
-      // Get database schema
-      const database = await notion.databases.retrieve({
-        database_id: dbId,
+      // Get database schema and pages, from Notion or the local snapshot
+      const { database, pages } = await fetchDatabase(notion, dbId, {
+        pageSize: batchSize,
+        cache,
+        offline,
+        refresh,
       });
 
       // Get property IDs
@@ -112,13 +172,12 @@ async function detectCrossDatabaseDuplicates() {
         ([_, prop]) => prop.type === "title"
       )[0];
       const urlPropertyId = await findUrlProperty(database.properties);
-
-      // Get all pages from this database
-      const pages = await getAllPages(dbId);
+      databases.push({ id: dbId, title: database.title[0]?.plain_text || dbId });
 
       // Process each page
       for (const page of pages) {
         if (processedPages.has(page.id)) continue;
+        pagesById.set(page.id, page);
 
         const pageInfo = {
           id: page.id,
@@ -128,13 +187,23 @@ async function detectCrossDatabaseDuplicates() {
         };
 
         // Process title
-        const titleContent = page.properties[titlePropertyId].title
+        const title = page.properties[titlePropertyId].title
           .map((text) => text.plain_text)
-          .join("")
-          .toLowerCase()
-          .trim();
+          .join("");
+        const titleContent = title.toLowerCase().trim();
+        const url = urlPropertyId ? page.properties[urlPropertyId].url : null;
+        reportPages.set(page.id, {
+          id: page.id,
+          title,
+          pageUrl: page.url,
+          url,
+          normalizedUrl: url ? normalizeUrl(url) : null,
+          databaseId: dbId,
+          databaseTitle: pageInfo.databaseTitle,
+        });
 
         if (titleContent) {
+          titledPages.push({ ...pageInfo, title, key: titleContent });
           const titleKey = `title:${titleContent}`;
           if (!duplicateMap.has(titleKey)) {
             duplicateMap.set(
@@ -147,7 +216,6 @@ async function detectCrossDatabaseDuplicates() {
 
         // Process URL if available
         if (urlPropertyId) {
-          const url = page.properties[urlPropertyId].url;
           if (url) {
             const normalizedUrl = normalizeUrl(url);
             const urlKey = `url:${normalizedUrl}`;
@@ -165,59 +233,131 @@ async function detectCrossDatabaseDuplicates() {
     // Report findings
     console.log("\n=== Cross-Database Duplicate Detection Report ===\n");
 
-    let duplicatesFound = false;
-    const reportedPages = new Set();
+    const clusters = new PageClusters();
+    for (const entry of duplicateMap.values()) {
+      if (entry.getPages().length > 1) clusters.link(entry);
+    }
+    const duplicateClusters = clusters.getClusters();
+    const duplicatesFound = duplicateClusters.length;
+    const reportGroups = [];
+
+    // Describes what links a group of pages
+    const describeLink = (entry) => ({
+      reason: entry.type === "title" ? "title" : "URL",
+      match: entry.type === "title" ? entry.value : normalizeUrl(entry.value),
+    });
+
+    // Report each cluster once, with every page in it and what links them
+    for (const { pages, links } of duplicateClusters) {
+      const described = links.map((entry) => ({
+        ...describeLink(entry),
+        pageIds: entry.getPages().map((page) => page.id),
+      }));
+      reportGroups.push({
+        reason: Array.from(new Set(described.map((link) => link.reason))).join(" and "),
+        match: described.map((link) => link.match).join(" | "),
+        links: described,
+        pages: pages.map((page) => reportPages.get(page.id)),
+      });
 
-    // Function to report duplicates if they haven't been reported yet
-    function reportDuplicate(entry) {
-      const pages = entry.getPages();
-      if (pages.length < 2) return false;
-
-      // Check if we've already reported these pages
-      const pageIds = new Set(pages.map((p) => p.id));
-      const alreadyReported = Array.from(pageIds).some((id) =>
-        reportedPages.has(id)
-      );
-      if (alreadyReported) return false;
-
-      // Report this group of duplicates
-      console.log(
-        `\n${entry.type === "title" ? "📝" : "🔗"} Duplicate ${
-          entry.type === "title" ? "Title" : "URL"
-        } Found:`
-      );
-      if (entry.type === "title") {
-        console.log(`Title: "${entry.value}"`);
-      } else {
-        console.log(`Normalized URL: ${normalizeUrl(entry.value)}`);
-        console.log(`Original URL: ${entry.value}`);
-      }
+      if (!verbose) continue;
 
+      console.log(`\n🔗 Duplicate Cluster Found (${pages.length} pages):`);
       console.log("\nFound in:");
-      pages.forEach((page) => {
-        console.log(`- Database: ${page.databaseTitle}`);
-        console.log(`  Page: ${page.url}`);
-        reportedPages.add(page.id);
+      pages.forEach((page, index) => {
+        console.log(`${index + 1}. Database: ${page.databaseTitle}`);
+        console.log(`   Page: ${page.url}`);
       });
 
-      return true;
+      console.log("\nLinked by:");
+      described.forEach((link) => {
+        const numbers = link.pageIds.map((id) => pages.findIndex((page) => page.id === id) + 1);
+        const label = link.reason === "title" ? `📝 Same title "${link.match}"` : `🔗 Same URL ${link.match}`;
+        console.log(`- ${label}: pages ${numbers.join(", ")}`);
+      });
     }
 
-    // Report duplicates, checking both title and URL matches
-    for (const entry of duplicateMap.values()) {
-      if (reportDuplicate(entry)) {
-        duplicatesFound = true;
-      }
+    // Exact title matches, and pages already in one cluster, are reported above
+    const similarTitles = fuzzy
+      ? findSimilarTitles(titledPages, threshold).filter(
+          ({ a, b }) => a.key !== b.key && clusters.find(a.id) !== clusters.find(b.id)
+        )
+      : [];
+
+    if (verbose && similarTitles.length > 0) {
+      console.log(`\n🧩 Similar Titles Found (score ≥ ${threshold}):`);
+      similarTitles.forEach(({ a, b, score }) => {
+        console.log(`\nScore: ${score.toFixed(2)}`);
+        [a, b].forEach((page) => {
+          console.log(`- "${page.title}" in ${page.databaseTitle}`);
+          console.log(`  Page: ${page.url}`);
+        });
+      });
     }
 
-    if (!duplicatesFound) {
+    if (!duplicatesFound && similarTitles.length === 0) {
       console.log("✅ No duplicates found across databases!");
+    } else if (!verbose) {
+      console.log(`🔍 Duplicate clusters: ${duplicatesFound}`);
+      if (fuzzy) console.log(`🧩 Similar titles: ${similarTitles.length}`);
+    }
+
+    similarTitles.forEach(({ a, b, score }) => {
+      reportGroups.push({
+        reason: "similar title",
+        match: `${a.title} ~ ${b.title}`,
+        score,
+        pages: [reportPages.get(a.id), reportPages.get(b.id)],
+      });
+    });
+
+    // Similar titles are left for a person to judge. Clusters are rebuilt from
+    // URL links alone unless titles were asked for: one generic title such as
+    // "Home" would otherwise chain unrelated pages together.
+    let resolved = false;
+    const resolveClusters = new PageClusters();
+    for (const entry of clusters.links) {
+      if (resolveTitles || entry.type === "url") resolveClusters.link(entry);
+    }
+    const titlesLeft = resolveClusters.links.length < clusters.links.length;
+    if (resolve && resolveClusters.links.length > 0) {
+      const groups = resolveClusters
+        .getClusters()
+        .map(({ pages }) => pages.map((page) => pagesById.get(page.id)));
+      const stats = await resolveDuplicates(groups, {
+        keep,
+        databasePriority: databaseIds,
+        urlRules,
+        dryRun,
+        verbose,
+      });
+      resolved = !dryRun && stats.failed === 0 && stats.kept === 0 && !titlesLeft && similarTitles.length === 0;
+      if (cache || refresh) await forgetPages(stats.archivedPages);
+    }
+
+    if (reportFile) {
+      await writeReport(reportFile, { databases, groups: reportGroups }, format);
     }
+
+    if (reportGroups.length > 0 && !resolved) {
+      process.exitCode = DUPLICATES_FOUND_EXIT_CODE;
+    }
+    return reportGroups;
   } catch (error) {
     console.error("Error detecting duplicates:", error);
-    process.exit(1);
+    process.exitCode = 1;
+    return null;
+  } finally {
+    logRequestStats();
   }
 }
 
-// Run the script
-detectCrossDatabaseDuplicates();
+export { detectCrossDatabaseDuplicates };
+
+// Run the script directly with settings from .env
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  // Comma-separated list of database IDs in .env
+  detectCrossDatabaseDuplicates({
+    databaseIds: process.env.NOTION_DATABASE_IDS.split(","),
+  });
+}
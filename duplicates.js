@@ -2,42 +2,29 @@
  * Detect duplicates in a Notion DB.
  * 
  * Checks the title and URL properties of a Notion database for duplicates.
+ * URLs are compared by their canonical form from lib/urls.js, so variants
+ * differing only in scheme, www or tracking parameters match.
+ * With `fuzzy` set, also reports titles that are similar rather than equal,
+ * each pair with its similarity score. With `resolve` set, keeps one page of
+ * each group of exact duplicate URLs and archives the rest (see
+ * lib/resolve.js); groups that only share a title need `resolveTitles` too.
+ * Groups can also be written to a JSON, CSV or Markdown report, and the exit
+ * status is 3 when duplicates remain. Pages can be read from a local snapshot
+ * (see lib/snapshots.js) to skip paging through the whole database.
+ * Run through the CLI (`joplin2notion dedupe`), or directly with
+ * NOTION_DATABASE_ID set in .env.
  */
-import { Client } from '@notionhq/client';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { notion, logRequestStats } from './lib/notion.js';
+import { canonicalUrl } from './lib/urls.js';
+import { DEFAULT_THRESHOLD, findSimilarTitles } from './lib/titles.js';
+import { resolveDuplicates } from './lib/resolve.js';
+import { DUPLICATES_FOUND_EXIT_CODE, reportFormatFor, writeReport } from './lib/reports.js';
+import { fetchDatabase, forgetPages } from './lib/snapshots.js';
 
 dotenv.config();
 
-const notion = new Client({
-  auth: process.env.NOTION_TOKEN
-});
-
-const DATABASE_ID = process.env.NOTION_DATABASE_ID;
-
-// Function to normalize URLs for comparison
-function normalizeUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    // Remove common variations
-    let normalized = urlObj.href
-      .replace(/^https?:\/\//, '')  // Remove protocol
-      .replace(/^www\./, '')        // Remove www
-      .replace(/\/$/, '');          // Remove trailing slash
-    
-    // Remove UTM parameters and other common tracking params
-    const cleanUrl = new URL(url);
-    const searchParams = new URLSearchParams(cleanUrl.search);
-    const paramsToRemove = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'fbclid', 'ref'];
-    
-    paramsToRemove.forEach(param => searchParams.delete(param));
-    cleanUrl.search = searchParams.toString();
-    
-    return normalized;
-  } catch (error) {
-    return url; // Return original if URL is invalid
-  }
-}
-
 // Function to find URL property in database schema
 async function findUrlProperty(schema) {
   for (const [propertyId, property] of Object.entries(schema)) {
@@ -48,11 +35,58 @@ async function findUrlProperty(schema) {
   return null;
 }
 
-async function detectDuplicates() {
+/**
+ * Reports duplicate titles and URLs within one Notion database
+ * @param {Object} options - Detection options
+ * @param {string} options.databaseId - Notion database to check
+ * @param {number} [options.batchSize] - Pages fetched per query
+ * @param {boolean} [options.fuzzy] - Also report similar titles
+ * @param {number} [options.threshold] - Lowest similarity reported in fuzzy mode, from 0 to 1
+ * @param {boolean} [options.resolve] - Merge and archive pages with the same URL
+ * @param {boolean} [options.resolveTitles] - Also resolve pages that only share a title
+ * @param {string} [options.keep] - Which page of a group survives: oldest or most-filled
+ * @param {boolean} [options.dryRun] - Show what resolving would change without doing it
+ * @param {Object} [options.urlRules] - When URLs count as the same, see DEFAULT_EQUIVALENCE in lib/urls.js
+ * @param {string} [options.reportFile] - Also write the groups to this file
+ * @param {string} [options.reportFormat] - json, csv or md; defaults to the file extension
+ * @param {boolean} [options.cache] - Keep a local snapshot and only fetch pages edited since the last run
+ * @param {boolean} [options.offline] - Use the local snapshot without contacting Notion
+ * @param {boolean} [options.refresh] - Fetch every page again and replace the snapshot
+ * @param {boolean} [options.verbose] - List every duplicate, not just the totals
+ * @returns {Promise<Object[]|null>} The duplicate groups, or null if the check failed
+ */
+async function detectDuplicates(options) {
+  const {
+    databaseId,
+    batchSize = 100,
+    fuzzy = false,
+    threshold = DEFAULT_THRESHOLD,
+    resolve = false,
+    resolveTitles = false,
+    keep = 'oldest',
+    dryRun = true,
+    reportFile,
+    reportFormat,
+    urlRules = {},
+    cache = false,
+    offline = false,
+    refresh = false,
+    verbose = true
+  } = options;
+
+  // Key under which URLs that count as the same are grouped
+  const normalizeUrl = url => canonicalUrl(url, urlRules);
+
   try {
-    // Get database schema
-    const database = await notion.databases.retrieve({
-      database_id: DATABASE_ID
+    // A report that can't be written should stop the run before anything is fetched or changed
+    const format = reportFile ? reportFormatFor(reportFile, reportFormat) : undefined;
+
+    // Get database schema and pages, from Notion or the local snapshot
+    const { database, pages } = await fetchDatabase(notion, databaseId, {
+      pageSize: batchSize,
+      cache,
+      offline,
+      refresh
     });
 
     // Get title property ID (every database has a title property)
@@ -62,37 +96,31 @@ async function detectDuplicates() {
     // Find URL property if it exists
     const urlPropertyId = await findUrlProperty(database.properties);
 
-    // Query all pages in the database
-    let pages = [];
-    let hasMore = true;
-    let startCursor = undefined;
-
-    while (hasMore) {
-      const response = await notion.databases.query({
-        database_id: DATABASE_ID,
-        start_cursor: startCursor,
-      });
-
-      pages = pages.concat(response.results);
-      hasMore = response.has_more;
-      startCursor = response.next_cursor;
-    }
-
     // Process pages for duplicates
     const titleMap = new Map();
     const urlMap = new Map();
     const duplicates = {
       titles: [],
-      urls: []
+      urls: [],
+      similarTitles: []
+    };
+    const titledPages = [];
+    const groups = new Map(); // Title or URL key => pages sharing it, for resolving
+    const addToGroup = (key, page) => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(page);
     };
 
     pages.forEach(page => {
       // Check title duplicates
-      const titleContent = page.properties[titlePropertyId].title
+      const title = page.properties[titlePropertyId].title
         .map(text => text.plain_text)
-        .join('')
-        .toLowerCase()
-        .trim();
+        .join('');
+      const titleContent = title.toLowerCase().trim();
+      if (titleContent) {
+        titledPages.push({ title, url: page.url, key: titleContent, page });
+        addToGroup(`title:${titleContent}`, page);
+      }
 
       if (titleContent) {
         if (titleMap.has(titleContent)) {
@@ -110,6 +138,7 @@ async function detectDuplicates() {
         const url = page.properties[urlPropertyId].url;
         if (url) {
           const normalizedUrl = normalizeUrl(url);
+          addToGroup(`url:${normalizedUrl}`, page);
           if (urlMap.has(normalizedUrl)) {
             duplicates.urls.push({
               originalUrls: [urlMap.get(normalizedUrl).original, url],
@@ -123,15 +152,55 @@ async function detectDuplicates() {
       }
     });
 
+    // Exact duplicates are already reported above
+    if (fuzzy) {
+      duplicates.similarTitles = findSimilarTitles(titledPages, threshold)
+        .filter(({ a, b }) => a.key !== b.key);
+    }
+
+    // Describes a page for the report file
+    const reportPage = page => {
+      const url = urlPropertyId ? page.properties[urlPropertyId].url : null;
+      return {
+        id: page.id,
+        title: page.properties[titlePropertyId].title.map(text => text.plain_text).join(''),
+        pageUrl: page.url,
+        url,
+        normalizedUrl: url ? normalizeUrl(url) : null,
+        databaseId,
+        databaseTitle: database.title?.[0]?.plain_text || databaseId
+      };
+    };
+    const exactGroups = Array.from(groups.entries()).filter(([_, pages]) => pages.length > 1);
+    const reportGroups = [
+      ...exactGroups.map(([key, pages]) => ({
+        reason: key.startsWith('title:') ? 'title' : 'URL',
+        match: key.slice(key.indexOf(':') + 1),
+        pages: pages.map(reportPage)
+      })),
+      ...duplicates.similarTitles.map(({ a, b, score }) => ({
+        reason: 'similar title',
+        match: `${a.title} ~ ${b.title}`,
+        score,
+        pages: [reportPage(a.page), reportPage(b.page)]
+      }))
+    ];
+
     // Report findings
     console.log('\n=== Duplicate Detection Report ===\n');
     
-    if (duplicates.titles.length === 0 && duplicates.urls.length === 0) {
+    const found = reportGroups.length > 0;
+    if (!found) {
       console.log('✅ No duplicates found!');
-      return;
     }
 
-    if (duplicates.titles.length > 0) {
+    if (found && !verbose) {
+      console.log(`🔍 Duplicate titles: ${duplicates.titles.length}`);
+      console.log(`🔗 Duplicate URLs: ${duplicates.urls.length}`);
+      if (fuzzy) console.log(`🧩 Similar titles: ${duplicates.similarTitles.length}`);
+    }
+
+    if (verbose && duplicates.titles.length > 0) {
       console.log('\n🔍 Duplicate Titles Found:');
       duplicates.titles.forEach(dup => {
         console.log(`\nTitle: "${dup.title}"`);
@@ -140,7 +209,7 @@ async function detectDuplicates() {
       });
     }
 
-    if (duplicates.urls.length > 0) {
+    if (verbose && duplicates.urls.length > 0) {
       console.log('\n🔗 Duplicate URLs Found:');
       duplicates.urls.forEach(dup => {
         console.log('\nOriginal URLs:');
@@ -151,11 +220,53 @@ async function detectDuplicates() {
       });
     }
 
+    if (verbose && duplicates.similarTitles.length > 0) {
+      console.log(`\n🧩 Similar Titles Found (score ≥ ${threshold}):`);
+      duplicates.similarTitles.forEach(({ a, b, score }) => {
+        console.log(`\nScore: ${score.toFixed(2)}`);
+        console.log(`- "${a.title}" ${a.url}`);
+        console.log(`- "${b.title}" ${b.url}`);
+      });
+    }
+
+    // Similar titles are left for a person to judge, and shared titles too
+    // unless asked for: "Home" or "README" rarely means the same page
+    let resolved = false;
+    const resolveGroups = exactGroups.filter(([key]) => resolveTitles || !key.startsWith('title:'));
+    if (resolve && resolveGroups.length > 0) {
+      const stats = await resolveDuplicates(resolveGroups.map(([_, pages]) => pages), {
+        keep,
+        urlRules,
+        dryRun,
+        verbose
+      });
+      resolved = !dryRun && stats.failed === 0 && stats.kept === 0 &&
+        resolveGroups.length === exactGroups.length && duplicates.similarTitles.length === 0;
+      if (cache || refresh) await forgetPages(stats.archivedPages);
+    }
+
+    if (reportFile) {
+      await writeReport(reportFile, {
+        databases: [{ id: databaseId, title: database.title?.[0]?.plain_text || databaseId }],
+        groups: reportGroups
+      }, format);
+    }
+
+    if (found && !resolved) process.exitCode = DUPLICATES_FOUND_EXIT_CODE;
+    return reportGroups;
+
   } catch (error) {
     console.error('Error detecting duplicates:', error);
-    process.exit(1);
+    process.exitCode = 1;
+    return null;
+  } finally {
+    logRequestStats();
   }
 }
 
-// Run the script
-detectDuplicates();
+export { detectDuplicates };
+
+// Run the script directly with settings from .env
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  detectDuplicates({ databaseId: process.env.NOTION_DATABASE_ID });
+}
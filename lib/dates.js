@@ -0,0 +1,103 @@
+/**
+ * Joplin Date Parsing
+ *
+ * Joplin's Markdown export writes timestamps like `2021-03-15 14:20:31Z`, in
+ * UTC. Older exports and hand-edited notes may drop the `Z`, and Joplin's
+ * own items store milliseconds since the epoch. Timestamps without an offset
+ * are read in a configurable IANA time zone, UTC by default.
+ */
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATE_TIME =
+  /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+/**
+ * Gets a time zone's offset from UTC at a given instant
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone, e.g. Europe/London
+ * @returns {number} Offset in milliseconds
+ */
+function zoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(timestamp));
+
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  const wallClock = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second")
+  );
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock time in a time zone into a UTC timestamp
+ * @param {number} wallClock - The wall-clock time, as if it were UTC
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Milliseconds since the epoch
+ */
+function fromZonedTime(wallClock, timeZone) {
+  let timestamp = wallClock - zoneOffset(wallClock, timeZone);
+  // Recheck once in case the guess crossed a DST change
+  timestamp = wallClock - zoneOffset(timestamp, timeZone);
+  return timestamp;
+}
+
+/**
+ * Parses a Joplin timestamp into a Notion date value
+ * @param {*} value - A Date, epoch milliseconds, or a date string
+ * @param {string} [timeZone] - Zone for strings without an offset
+ * @returns {{start: string}|null} Notion date, or null for empty values
+ */
+function parseJoplinDate(value, timeZone = "UTC") {
+  if (value === undefined || value === null || value === "" || value === 0) return null;
+
+  if (value instanceof Date) return { start: value.toISOString() };
+  if (typeof value === "number") return { start: new Date(value).toISOString() };
+
+  const text = String(value).trim();
+  if (DATE_ONLY.test(text)) return { start: text };
+
+  const match = text.match(DATE_TIME);
+  if (!match) {
+    throw new Error(`Not a valid date: ${value}`);
+  }
+
+  const [, year, month, day, hour, minute, second = "0", millis = "0", offset] = match;
+  const wallClock = Date.UTC(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hour),
+    Number(minute),
+    Number(second),
+    Number(millis.padEnd(3, "0"))
+  );
+
+  let timestamp;
+  if (!offset) {
+    timestamp = fromZonedTime(wallClock, timeZone);
+  } else if (offset.toUpperCase() === "Z") {
+    timestamp = wallClock;
+  } else {
+    const sign = offset.startsWith("-") ? -1 : 1;
+    const digits = offset.slice(1).replace(":", "");
+    const minutes = Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2));
+    timestamp = wallClock - sign * minutes * 60 * 1000;
+  }
+
+  return { start: new Date(timestamp).toISOString() };
+}
+
+export { parseJoplinDate };
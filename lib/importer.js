@@ -0,0 +1,521 @@
+/**
+ * Joplin Import Runner
+ *
+ * The import loop shared by bookmarks.js, miscellany.js and the JEX reader.
+ * It walks a Joplin export recursively (or takes notes read from an archive),
+ * parses each note with the importer's own parser, and creates one Notion
+ * page per note. The notebook (folder) a note came from is
+ * kept in one of two ways:
+ * - Database mode: notes become entries in a database, and the mapping can
+ *   read the folder path from $notebook (e.g. "Work / Projects") or
+ *   $notebooks (["Work", "Projects"]) into a select or multi_select property.
+ * - Page mode: notes become pages nested under notebook pages that mirror
+ *   the folder structure below a chosen parent page.
+ *
+ * Links between notes, as Joplin :/<noteId> links or relative paths to other
+ * exported notes, are rewritten to point at the notes' Notion pages.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { markdownToNotionBlocks } from "./markdown.js";
+import { appendBlocks } from "./pages.js";
+import { chainResolvers, createLinkResolver, notionPageUrl } from "./links.js";
+import { DUPLICATE_POLICIES, loadPageIndex } from "./page-index.js";
+import { prepareResources } from "./resources.js";
+import { Manifest, handleInterrupts, hashFile } from "./manifest.js";
+import { notion, logRequestStats } from "./notion.js";
+import { buildProperties, loadMapping, validateMapping } from "./mapping.js";
+
+// Folders in a Joplin export that aren't notebooks
+const IGNORED_DIRS = new Set(["_resources", "node_modules"]);
+
+/**
+ * Lists the Markdown notes under a folder, recursively
+ * @param {string} dir - Root of the Joplin export
+ * @param {string[]} notebooks - Notebook path of `dir` below the root
+ * @returns {Promise<Array<{filePath: string, sourcePath: string, notebooks: string[]}>>}
+ */
+async function listNotes(dir, notebooks = []) {
+  const notes = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    if (entry.name.startsWith(".")) continue;
+    const filePath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (IGNORED_DIRS.has(entry.name)) continue;
+      notes.push(...(await listNotes(filePath, [...notebooks, entry.name])));
+    } else if (entry.name.endsWith(".md")) {
+      notes.push({
+        filePath,
+        // Manifest keys use forward slashes on every platform
+        sourcePath: [...notebooks, entry.name].join("/"),
+        notebooks,
+      });
+    }
+  }
+
+  return notes;
+}
+
+/**
+ * Lists the notes in a Markdown export as notes for runImport
+ * @param {string} dir - Root of the Joplin export
+ * @param {Function} parseNote - Parses a file into {title, frontMatter, body, derived}, or null
+ * @returns {Promise<Object[]>}
+ */
+async function listExportNotes(dir, parseNote) {
+  return (await listNotes(dir)).map(({ filePath, sourcePath, notebooks }) => ({
+    sourcePath,
+    notebooks,
+    fileName: path.basename(filePath),
+    noteDir: path.dirname(filePath),
+    getHash: () => hashFile(filePath),
+    read: () => parseNote(filePath),
+  }));
+}
+
+/**
+ * Finds or creates the pages that mirror a note's notebook path
+ * @param {string[]} notebooks - Notebook path of the note
+ * @param {Object} context - Import context
+ * @returns {Promise<string>} ID of the page the note belongs under
+ */
+async function ensureNotebookPage(notebooks, context) {
+  const { parentPageId, manifest, notebookPages, dryRun, verbose } = context;
+  let parentId = parentPageId;
+
+  for (let depth = 1; depth <= notebooks.length; depth++) {
+    // Trailing slash keeps notebook keys apart from note keys
+    const key = `${notebooks.slice(0, depth).join("/")}/`;
+
+    if (notebookPages.has(key)) {
+      parentId = notebookPages.get(key);
+      continue;
+    }
+    if (manifest.isImported(key)) {
+      parentId = manifest.get(key).pageId;
+      notebookPages.set(key, parentId);
+      continue;
+    }
+
+    const title = notebooks[depth - 1];
+    if (dryRun) {
+      console.log(`Would create notebook page: ${key}`);
+      parentId = `dry-run:${key}`;
+    } else {
+      const page = await notion.pages.create({
+        parent: { page_id: parentId },
+        properties: { title: { title: [{ text: { content: title } }] } },
+      });
+      if (verbose) console.log(`Created notebook page: ${key}`);
+      await manifest.markImported(key, "notebook", page.id);
+      parentId = page.id;
+    }
+    notebookPages.set(key, parentId);
+  }
+
+  return parentId;
+}
+
+/**
+ * Gets a note's Joplin ID, which other notes link to as :/<id>
+ * @param {Object} note - Parsed note
+ * @param {string} fileName - The note's file name
+ * @returns {string|undefined}
+ */
+function joplinIdOf(note, fileName) {
+  const candidates = [note.joplinId, note.frontMatter?.id, path.basename(fileName, ".md")];
+  const id = candidates.find((value) => /^[a-f0-9]{32}$/i.test(String(value ?? "")));
+  return id?.toLowerCase();
+}
+
+/**
+ * Creates the Notion page for one parsed note, with properties but no content
+ * @param {Object} note - Parsed note
+ * @param {string} file - The note's source path
+ * @param {Object} context - Import context
+ * @returns {Promise<string|null>} The page ID, or null if it failed
+ */
+async function createNotionPage(note, file, context) {
+  const { databaseId, parentPageId, mapping, dryRun, verbose } = context;
+  try {
+    const properties = buildProperties(mapping, note);
+    let page;
+
+    if (parentPageId) {
+      // Pages outside a database only have a title
+      const titleName = Object.keys(properties).find((name) => properties[name].title);
+      page = {
+        parent: { page_id: await ensureNotebookPage(note.notebooks, context) },
+        properties: { title: properties[titleName] },
+      };
+    } else {
+      page = {
+        parent: { database_id: databaseId },
+        properties,
+      };
+    }
+
+    if (dryRun) {
+      console.log(`Would create page: ${note.title}`);
+      if (verbose) console.log(JSON.stringify(page.properties, null, 2));
+      return `dry-run:${file}`;
+    }
+
+    const created = await notion.pages.create(page);
+    if (verbose) console.log(`Created page: ${note.title}`);
+    return created.id;
+  } catch (error) {
+    console.error(`Failed to import ${note.title}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Looks for a page already in the database with the note's URL (or title)
+ * @param {Object} note - Parsed note
+ * @param {Object} context - Import context
+ * @returns {Object|null} The match, from PageIndex.match
+ */
+function findExistingPage(note, context) {
+  let properties;
+  try {
+    properties = buildProperties(context.mapping, note);
+  } catch (error) {
+    return null; // createNotionPage reports the problem
+  }
+  return context.index.match(properties);
+}
+
+/**
+ * Overwrites an existing page's properties with a note's
+ * @param {Object} note - Parsed note
+ * @param {string} pageId - The existing page
+ * @param {Object} context - Import context
+ * @returns {Promise<boolean>} Whether the page was updated
+ */
+async function updateExistingPage(note, pageId, context) {
+  const { mapping, dryRun, verbose } = context;
+  if (dryRun) {
+    console.log(`Would update page: ${note.title}`);
+    return true;
+  }
+
+  try {
+    await notion.pages.update({ page_id: pageId, properties: buildProperties(mapping, note) });
+    if (verbose) console.log(`Updated existing page: ${note.title}`);
+    return true;
+  } catch (error) {
+    console.error(`Failed to update ${note.title}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Converts a note's Markdown and appends it to its page. Content partly
+ * appended by an earlier run is resumed after the last chunk that succeeded.
+ * @param {string} pageId - The note's page
+ * @param {Object} note - Parsed note
+ * @param {Object} converterOptions - Hooks for markdownToNotionBlocks
+ * @param {Object} context - Import context
+ * @param {Object} source - The note's manifest key (`file`) and content `hash`
+ * @returns {Promise<boolean>} Whether the content was added
+ */
+async function addPageContent(pageId, note, converterOptions, context, source) {
+  const { manifest, dryRun, verbose } = context;
+  const blocks = markdownToNotionBlocks(note.body, converterOptions);
+
+  if (dryRun) {
+    console.log(`Would import: ${note.title} (${blocks.length} blocks)`);
+    return true;
+  }
+
+  const entry = manifest.get(source.file);
+  const startChunk = entry?.pageId === pageId ? entry.appendedChunks ?? 0 : 0;
+  if (startChunk > 0 && entry.hash !== source.hash) {
+    // The chunks already on the page came from an older version of the note
+    console.error(`Failed to import ${note.title}: changed since part of its content was added to ${pageId}`);
+    return false;
+  }
+
+  try {
+    await appendBlocks(notion, pageId, blocks, {
+      startChunk,
+      onChunk: (chunks) => manifest.markAppended(source.file, chunks),
+    });
+    if (verbose) console.log(`✅ Successfully imported: ${note.title}`);
+    return true;
+  } catch (error) {
+    console.error(`Failed to import ${note.title}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Imports a Joplin export into Notion
+ *
+ * Runs in two passes so links between notes can be kept: the first creates a
+ * page for every note, the second adds each note's content with links to
+ * other notes pointing at their pages.
+ *
+ * Notes come from a Markdown export (`dir` and `parseNote`) or from another
+ * reader (`notes`). Each of those notes has a sourcePath (its manifest key),
+ * notebooks, fileName, noteDir, and optional resourcesDir and resources
+ * (details of Joplin resources by ID, see toResource in lib/items.js), plus getHash() and
+ * read() functions; read() returns the parsed note or null.
+ * @param {Object} options - Import options
+ * @param {string} [options.dir] - Root folder of the Joplin export
+ * @param {Function} [options.parseNote] - Parses a file into {title, frontMatter, body, derived}, or null
+ * @param {Object[]} [options.notes] - Notes from another source, instead of dir and parseNote
+ * @param {string} [options.databaseId] - Database to create entries in
+ * @param {string} [options.parentPageId] - Page to nest notebook pages under, instead of a database
+ * @param {string} options.manifestFile - Where to record imported files
+ * @param {string} options.mappingFile - Front matter to property mapping
+ * @param {string} [options.onDuplicate] - For notes whose URL is already in the database:
+ *   "skip" them, "update" the existing page's properties, or "create" a page anyway
+ * @param {boolean} [options.matchTitles] - Also treat a note as already there when only its
+ *   title matches an existing page; meant for bookmarks, where titles name the page
+ * @param {boolean} [options.dryRun] - Parse and convert without writing to Notion
+ * @param {boolean} [options.verbose] - Log every file
+ * @returns {Promise<void>}
+ */
+async function runImport(options) {
+  const {
+    dir,
+    parseNote,
+    notes,
+    databaseId,
+    parentPageId,
+    manifestFile,
+    mappingFile,
+    onDuplicate = "skip",
+    matchTitles = false,
+    dryRun = false,
+    verbose = true,
+  } = options;
+
+  if (Boolean(databaseId) === Boolean(parentPageId)) {
+    throw new Error("Import into either a database or a parent page");
+  }
+  if (!DUPLICATE_POLICIES.includes(onDuplicate)) {
+    throw new Error(`Unknown duplicate policy ${onDuplicate}; use ${DUPLICATE_POLICIES.join(", ")}`);
+  }
+
+  const failedImports = [];
+  const matches = [];
+  const unresolvedLinks = [];
+  const interrupts = handleInterrupts();
+  let skipped = 0;
+  let imported = 0;
+
+  try {
+    // Check the mapping against the database before writing anything
+    let mapping = await loadMapping(mappingFile);
+    if (databaseId) {
+      mapping = await validateMapping(notion, databaseId, mapping);
+      console.log("✅ Database schema validation passed");
+    }
+
+    // Files imported by earlier runs are recorded here
+    const manifest = await Manifest.load(manifestFile, databaseId || parentPageId);
+    // Pages already in the database, to catch notes imported some other way
+    let index = null;
+    if (databaseId) {
+      index = await loadPageIndex(notion, databaseId, mapping, matchTitles);
+      console.log(`Indexed ${index.count} existing pages`);
+    }
+
+    const context = {
+      databaseId,
+      parentPageId,
+      mapping,
+      manifest,
+      index,
+      notebookPages: new Map(),
+      dryRun,
+      verbose,
+    };
+
+    // Pages created by this or earlier runs, for rewriting links
+    const pagesBySource = new Map();
+    const pagesByJoplinId = new Map();
+    for (const [file, entry] of Object.entries(manifest.entries)) {
+      if (!entry.pageId || file.endsWith("/")) continue;
+      pagesBySource.set(file, entry.pageId);
+      if (entry.joplinId) pagesByJoplinId.set(entry.joplinId, entry.pageId);
+    }
+
+    // Pass 1: create a page for every note
+    const pending = [];
+    for (const source of notes ?? (await listExportNotes(dir, parseNote))) {
+      if (interrupts.stopped) break;
+
+      const { sourcePath: file, notebooks, fileName } = source;
+      const hash = await source.getHash();
+      const entry = manifest.get(file);
+
+      if (manifest.isImported(file)) {
+        if (entry.hash !== hash) {
+          failedImports.push({ file, reason: `Changed since it was imported as ${entry.pageId}; not re-imported` });
+        }
+        skipped++;
+        continue;
+      }
+
+      if (verbose) console.log("Reading", file);
+      const parsed = await source.read();
+
+      if (!parsed) {
+        failedImports.push({ file, reason: "Failed to parse markdown" });
+        if (!dryRun) await manifest.markFailed(file, hash, "Failed to parse markdown");
+        continue;
+      }
+
+      const note = {
+        ...parsed,
+        notebooks,
+        derived: {
+          fileName,
+          notebook: notebooks.length > 0 ? notebooks.join(" / ") : undefined,
+          notebooks,
+          ...parsed.derived,
+        },
+      };
+
+      // A page left without content by an earlier run is reused
+      let pageId = manifest.isCreated(file) ? entry.pageId : null;
+      if (!pageId) {
+        const joplinId = joplinIdOf(parsed, fileName);
+
+        const match = index && findExistingPage(note, context);
+        if (match) {
+          matches.push({ file, title: note.title, match });
+
+          if (onDuplicate !== "create") {
+            if (onDuplicate === "update" && !(await updateExistingPage(note, match.page.id, context))) {
+              failedImports.push({ file, title: note.title, reason: "Failed to update the matching page" });
+              continue;
+            }
+            // The existing page stands in for the note, including as a link target
+            if (!dryRun) await manifest.markImported(file, hash, match.page.id, joplinId);
+            pagesBySource.set(file, match.page.id);
+            if (joplinId) pagesByJoplinId.set(joplinId, match.page.id);
+            continue;
+          }
+        }
+
+        if (verbose) console.log("Creating Notion page for", file);
+        pageId = await createNotionPage(note, file, context);
+        if (!pageId) {
+          failedImports.push({ file, title: note.title });
+          if (!dryRun) await manifest.markFailed(file, hash, "Failed to create Notion page");
+          continue;
+        }
+
+        // Later notes in this run are checked against this one's URL too
+        if (index) index.add(pageId, buildProperties(mapping, note), { byTitle: false });
+        if (!dryRun) await manifest.markCreated(file, hash, pageId, joplinId);
+        pagesBySource.set(file, pageId);
+        if (joplinId) pagesByJoplinId.set(joplinId, pageId);
+      }
+
+      pending.push({ source, file, hash, note, pageId });
+    }
+
+    // Pass 2: add content, now that every linked note has a page
+    for (const { source, file, hash, note, pageId } of pending) {
+      if (interrupts.stopped) break;
+
+      // A resource that can't be read or uploaded fails this note, not the run
+      let resources;
+      try {
+        resources = await prepareResources(notion, note.body, {
+          noteDir: source.noteDir,
+          resourcesDir: source.resourcesDir,
+          resources: source.resources,
+          token: process.env.NOTION_TOKEN,
+          dryRun,
+        });
+      } catch (error) {
+        console.error(`Failed to prepare resources for ${note.title}:`, error.message);
+        failedImports.push({ file, title: note.title, reason: `Failed to prepare resources: ${error.message}` });
+        if (!dryRun) await manifest.markFailed(file, hash, "Failed to prepare resources");
+        continue;
+      }
+
+      const unresolved = [];
+      const resolveNoteLink = createLinkResolver({ sourcePath: file, pagesBySource, pagesByJoplinId, unresolved });
+
+      if (verbose) console.log("Adding content for", file);
+      const added = await addPageContent(pageId, note, {
+        ...resources,
+        resolveLink: chainResolvers(resources.resolveLink, resolveNoteLink),
+      }, context, { file, hash });
+
+      if (added) {
+        imported++;
+      } else {
+        failedImports.push({ file, title: note.title });
+      }
+      if (!dryRun) {
+        if (added) {
+          await manifest.markImported(file, hash, pageId);
+        } else {
+          await manifest.markFailed(file, hash, "Failed to add page content");
+        }
+      }
+      resources.missing.forEach((reference) => {
+        failedImports.push({ file, title: note.title, reason: `Missing resource ${reference}` });
+      });
+      unresolved.forEach((url) => unresolvedLinks.push({ file, title: note.title, url }));
+    }
+
+    console.log(interrupts.stopped ? "\nImport interrupted; re-run to continue." : "\nImport completed!");
+    console.log(`${dryRun ? "Would import" : "Imported"} ${imported} notes`);
+    if (skipped > 0) {
+      console.log(`Skipped ${skipped} files already imported (see ${manifestFile})`);
+    }
+
+    if (matches.length > 0) {
+      const outcome = { skip: "skipped", update: "updated the existing page", create: "created anyway" };
+      console.log(`\nNotes already in the database (${matches.length}, ${outcome[onDuplicate]}):`);
+      matches.forEach(({ file, title, match }) => {
+        console.log(`- ${file}${title ? ` (${title})` : ""}: same ${match.by} as "${match.page.title}" ${notionPageUrl(match.page.id)}`);
+      });
+    }
+
+    if (failedImports.length > 0) {
+      console.log("\nFailed imports:");
+      failedImports.forEach(({ file, title, reason }) => {
+        console.log(`- ${file}${title ? ` (${title})` : ""}${reason ? `: ${reason}` : ""}`);
+      });
+      console.log(`\nTotal failed imports: ${failedImports.length}`);
+    } else if (onDuplicate === "skip" && matches.length > 0) {
+      console.log(`\nNo imports failed; ${matches.length} notes were skipped as already in the database.`);
+    } else {
+      console.log("All files were imported successfully!");
+    }
+
+    if (unresolvedLinks.length > 0) {
+      // The link text is kept, but it no longer points anywhere
+      console.log("\nLinks to notes that weren't imported:");
+      unresolvedLinks.forEach(({ file, title, url }) => {
+        console.log(`- ${file}${title ? ` (${title})` : ""}: ${url}`);
+      });
+    }
+
+    if (dryRun) console.log("\n⚠️  This was a dry run. Nothing was written to Notion.");
+  } catch (error) {
+    console.error("Import failed:", error);
+    process.exitCode = 1;
+  } finally {
+    interrupts.dispose();
+    logRequestStats();
+  }
+}
+
+export { listNotes, runImport };
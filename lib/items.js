@@ -0,0 +1,159 @@
+/**
+ * Joplin Items
+ *
+ * Rebuilds notes from Joplin's own records (notes, folders, tags and
+ * note-tag links) as found in a JEX archive or a profile database. Each note
+ * gets its notebook path, its tags, and the front matter Joplin's Markdown
+ * export would have written, so the same mappings apply to every source.
+ * Resource records give the attachments' original names and types.
+ */
+
+/**
+ * Converts a Joplin timestamp into an ISO string
+ * @param {number|string} value - Milliseconds since the epoch, or an ISO string
+ * @returns {string|undefined}
+ */
+function toTimestamp(value) {
+  if (value === undefined || value === null || value === "" || Number(value) === 0) return undefined;
+  return /^\d+$/.test(String(value)) ? new Date(Number(value)).toISOString() : String(value);
+}
+
+/**
+ * Builds the front matter Joplin's Markdown export would write for a note
+ * @param {Object} note - Note with title and props (the note's fields)
+ * @param {string[]} tags - The note's tag titles
+ * @returns {Object}
+ */
+function toFrontMatter(note, tags) {
+  const { props } = note;
+  const frontMatter = {
+    id: props.id,
+    title: note.title,
+    created: toTimestamp(props.user_created_time || props.created_time),
+    updated: toTimestamp(props.user_updated_time || props.updated_time),
+    source: props.source_url || undefined,
+    author: props.author || undefined,
+  };
+
+  for (const key of ["latitude", "longitude", "altitude"]) {
+    if (props[key] && Number(props[key]) !== 0) frontMatter[key] = Number(props[key]);
+  }
+
+  if (Number(props.is_todo) === 1) {
+    frontMatter["completed?"] = Number(props.todo_completed) > 0 ? "yes" : "no";
+    frontMatter.due = toTimestamp(props.todo_due);
+  }
+
+  if (tags.length > 0) frontMatter.tags = tags;
+
+  // Leave out empty keys, as the Markdown export does
+  return Object.fromEntries(
+    Object.entries(frontMatter).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Rebuilds notes with their notebook paths, tags and front matter
+ * @param {Object} items - Joplin records
+ * @param {Array<{title: string, body: string, props: Object, hash: string}>} items.notes - Notes
+ * @param {Map<string, {title: string, parentId: string}>} items.folders - Folder ID => folder
+ * @param {Map<string, string>} items.tags - Tag ID => title
+ * @param {Array<{noteId: string, tagId: string}>} items.noteTags - Note-tag links
+ * @returns {Object[]} Notes, ordered by notebook then title
+ */
+function rebuildNotes({ notes, folders, tags, noteTags }) {
+  // Walk up the folder tree for each note's notebook path
+  const notebookPath = (folderId) => {
+    const notebooks = [];
+    const seen = new Set();
+    while (folders.has(folderId) && !seen.has(folderId)) {
+      seen.add(folderId);
+      const folder = folders.get(folderId);
+      notebooks.unshift(folder.title.replace(/\//g, "-"));
+      folderId = folder.parentId;
+    }
+    return notebooks;
+  };
+
+  const tagsByNote = new Map();
+  for (const { noteId, tagId } of noteTags) {
+    if (!tags.has(tagId)) continue;
+    if (!tagsByNote.has(noteId)) tagsByNote.set(noteId, []);
+    tagsByNote.get(noteId).push(tags.get(tagId));
+  }
+
+  const rebuilt = notes.map((note) => ({
+    id: note.props.id,
+    title: note.title,
+    body: note.body,
+    hash: note.hash,
+    notebooks: notebookPath(note.props.parent_id),
+    frontMatter: toFrontMatter(note, tagsByNote.get(note.props.id) ?? []),
+  }));
+
+  rebuilt.sort(
+    (a, b) =>
+      a.notebooks.join("/").localeCompare(b.notebooks.join("/")) || a.title.localeCompare(b.title)
+  );
+  return rebuilt;
+}
+
+/**
+ * Describes a Joplin resource record for lib/resources.js
+ * @param {string} title - The resource's title, usually its original file name
+ * @param {Object} props - The resource's fields
+ * @returns {{title: string, mime: string|undefined, fileExtension: string, encrypted: boolean}}
+ */
+function toResource(title, props) {
+  const fileExtension = String(props.file_extension || "").replace(/^\./, "");
+  let name = String(title || props.filename || "").replace(/[/\\]/g, "_").trim();
+  if (!name) name = fileExtension ? `${props.id}.${fileExtension}` : props.id;
+  else if (fileExtension && !name.toLowerCase().endsWith(`.${fileExtension.toLowerCase()}`)) {
+    name = `${name}.${fileExtension}`;
+  }
+
+  return {
+    title: name,
+    mime: props.mime || undefined,
+    fileExtension,
+    encrypted: String(props.encryption_blob_encrypted) === "1" || String(props.encryption_applied) === "1",
+  };
+}
+
+/**
+ * Wraps rebuilt notes as notes for runImport
+ * @param {Object[]} notes - Notes from rebuildNotes
+ * @param {Object} options - Where the notes' resources are
+ * @param {string} options.noteDir - Directory relative resource paths start from
+ * @param {string} options.resourcesDir - Folder of `<resourceId>.<ext>` files
+ * @param {Map<string, Object>} [options.resources] - Resource ID => details, from toResource
+ * @returns {Object[]}
+ */
+function toImportNotes(notes, { noteDir, resourcesDir, resources }) {
+  // Notes are keyed by their Joplin ID, so moving one between notebooks doesn't re-import it
+  return notes.map((note) => ({
+    sourcePath: note.id,
+    notebooks: note.notebooks,
+    fileName: `${note.id}.md`,
+    noteDir,
+    resourcesDir,
+    resources,
+    getHash: async () => note.hash,
+    read: async () => {
+      const body = note.body.trim();
+      return {
+        title: note.title,
+        joplinId: note.id,
+        frontMatter: note.frontMatter,
+        body,
+        derived: {
+          title: note.title,
+          firstLine: body.split("\n")[0],
+          body,
+        },
+      };
+    },
+  }));
+}
+
+export { rebuildNotes, toImportNotes, toResource };
@@ -0,0 +1,157 @@
+/**
+ * Joplin JEX Archive Import
+ *
+ * A JEX export is a tar of Joplin's raw items: one `<id>.md` file per note,
+ * notebook, tag, note-tag link and resource, plus the resource files under
+ * `resources/`. Each item holds its title and body followed by `key: value`
+ * metadata, with `type_` saying what kind of item it is. This reads those
+ * items and extracts the resources; lib/items.js rebuilds the notes.
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { readTarEntries } from "./tar.js";
+import { runImport } from "./importer.js";
+import { rebuildNotes, toImportNotes, toResource } from "./items.js";
+
+const DEFAULT_MANIFEST_FILE = "jex-manifest.json";
+const DEFAULT_MAPPING_FILE = fileURLToPath(new URL("../mappings/notes.yaml", import.meta.url));
+
+// Values of an item's type_ property
+const ITEM_TYPES = {
+  note: 1,
+  folder: 2,
+  resource: 4,
+  tag: 5,
+  noteTag: 6,
+};
+
+/**
+ * Parses a raw Joplin item: title, blank line, body, blank line, metadata
+ * @param {string} content - The item file's content
+ * @returns {{title: string, body: string, props: Object}}
+ */
+function parseItem(content) {
+  const lines = content.replace(/\s+$/, "").split("\n");
+  const props = {};
+
+  // Metadata runs from the end of the file back to the first blank line
+  let i = lines.length - 1;
+  for (; i >= 0; i--) {
+    const line = lines[i].trim();
+    if (line === "") break;
+    const colon = line.indexOf(":");
+    if (colon === -1) throw new Error(`Invalid metadata line: ${line}`);
+    props[line.slice(0, colon).trim()] = line
+      .slice(colon + 1)
+      .trim()
+      .replace(/\\n/g, "\n")
+      .replace(/\\r/g, "\r");
+  }
+
+  const text = lines.slice(0, Math.max(i, 0));
+  return {
+    title: text[0] ?? "",
+    // The title is followed by a blank line
+    body: text.slice(2).join("\n"),
+    props,
+  };
+}
+
+/**
+ * Reads a JEX archive, writing its resource files into a folder
+ * @param {string} archivePath - The .jex file
+ * @param {string} resourcesDir - Folder to extract resource files into
+ * @returns {Promise<{notes: Object[], resources: Map<string, Object>, skipped: number}>} Notes
+ *   with their notebooks and tags, and the resources by ID
+ */
+async function readJexArchive(archivePath, resourcesDir) {
+  const notes = [];
+  const folders = new Map(); // Folder ID => { title, parentId }
+  const tags = new Map(); // Tag ID => title
+  const noteTags = []; // { noteId, tagId }
+  const resources = new Map(); // Resource ID => details
+  let skipped = 0;
+
+  await fs.mkdir(resourcesDir, { recursive: true });
+
+  for await (const { name, data } of readTarEntries(archivePath)) {
+    if (name.startsWith("resources/")) {
+      await fs.writeFile(path.join(resourcesDir, path.basename(name)), data);
+      continue;
+    }
+    if (!name.endsWith(".md") || name.includes("/")) continue;
+
+    const content = data.toString("utf8");
+    const item = parseItem(content);
+    const type = Number(item.props.type_);
+
+    if (item.props.encryption_applied === "1") {
+      skipped++;
+      continue;
+    }
+
+    if (type === ITEM_TYPES.note) {
+      if (item.props.is_conflict === "1") {
+        skipped++;
+        continue;
+      }
+      notes.push({ ...item, hash: crypto.createHash("sha256").update(content).digest("hex") });
+    } else if (type === ITEM_TYPES.folder) {
+      folders.set(item.props.id, { title: item.title, parentId: item.props.parent_id });
+    } else if (type === ITEM_TYPES.resource) {
+      resources.set(item.props.id, toResource(item.title, item.props));
+    } else if (type === ITEM_TYPES.tag) {
+      tags.set(item.props.id, item.title);
+    } else if (type === ITEM_TYPES.noteTag) {
+      noteTags.push({ noteId: item.props.note_id, tagId: item.props.tag_id });
+    }
+  }
+
+  return { notes: rebuildNotes({ notes, folders, tags, noteTags }), resources, skipped };
+}
+
+/**
+ * Imports a Joplin JEX archive into Notion
+ * @param {Object} options - Import options
+ * @param {string} options.archive - The .jex file
+ * @param {string} [options.databaseId] - Notion database to import into
+ * @param {string} [options.parentPageId] - Page to mirror the notebooks under, instead of a database
+ * @param {string} [options.manifestFile] - Where to record imported notes
+ * @param {string} [options.mappingFile] - Front matter to property mapping
+ * @param {boolean} [options.dryRun] - Parse and convert without writing to Notion
+ * @param {boolean} [options.verbose] - Log every note
+ * @returns {Promise<void>}
+ */
+async function importJex(options) {
+  const {
+    archive,
+    manifestFile = DEFAULT_MANIFEST_FILE,
+    mappingFile = DEFAULT_MAPPING_FILE,
+  } = options;
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "joplin2notion-"));
+  const resourcesDir = path.join(workDir, "_resources");
+
+  try {
+    const { notes, resources, skipped } = await readJexArchive(archive, resourcesDir);
+    console.log(`Read ${notes.length} notes from ${archive}`);
+    if (skipped > 0) {
+      console.log(`Skipped ${skipped} encrypted or conflicting items`);
+    }
+
+    await runImport({
+      ...options,
+      manifestFile,
+      mappingFile,
+      notes: toImportNotes(notes, { noteDir: workDir, resourcesDir, resources }),
+    });
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+export { importJex, parseItem, readJexArchive };
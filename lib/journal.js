@@ -0,0 +1,88 @@
+/**
+ * Change Journal
+ *
+ * Appends every change a clean-up makes to a JSON Lines file, one entry per
+ * line, so a bad rule can be undone later from the old values. Entries are
+ * only ever appended: a revert is recorded as a change of its own.
+ *
+ * A change is written as "pending" before it is made, and a short record with
+ * the same ID marks it "applied" or "failed" afterwards, so a change can't
+ * reach Notion without being in the journal, even if the run is cut short.
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+const DEFAULT_JOURNAL_FILE = "tidy-urls-journal.jsonl";
+
+/**
+ * Appends an entry to a journal
+ * @param {string} filePath - Journal file
+ * @param {Object} entry - What changed
+ * @returns {Promise<void>}
+ */
+async function appendJournalEntry(filePath, entry) {
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Records a change in a journal, makes it, and records whether it worked.
+ * Nothing is changed if the entry can't be written.
+ * @param {string} filePath - Journal file
+ * @param {Object} entry - What is about to change
+ * @param {Function} apply - Makes the change
+ * @returns {Promise<void>}
+ */
+async function journalChange(filePath, entry, apply) {
+  const id = crypto.randomUUID();
+  await appendJournalEntry(filePath, { id, status: "pending", ...entry });
+
+  try {
+    await apply();
+  } catch (error) {
+    await appendJournalEntry(filePath, { id, status: "failed" });
+    throw error;
+  }
+  await appendJournalEntry(filePath, { id, status: "applied" });
+}
+
+/**
+ * Reads every entry in a journal, oldest first. Status records are folded
+ * into the entries they belong to; an entry still "pending" may or may not
+ * have been applied.
+ * @param {string} filePath - Journal file
+ * @returns {Promise<Object[]>}
+ */
+async function readJournal(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") throw new Error(`No journal at ${filePath}`);
+    throw error;
+  }
+
+  const entries = [];
+  const byId = new Map();
+  text.split("\n").forEach((line, index) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Journal ${filePath} line ${index + 1} is not valid JSON: ${error.message}`);
+    }
+
+    if (record.pageId === undefined && byId.has(record.id)) {
+      byId.get(record.id).status = record.status;
+      return;
+    }
+    entries.push(record);
+    if (record.id) byId.set(record.id, record);
+  });
+  return entries;
+}
+
+export { DEFAULT_JOURNAL_FILE, appendJournalEntry, journalChange, readJournal };
@@ -0,0 +1,184 @@
+/**
+ * Link Health
+ *
+ * Checks whether a bookmarked URL still works: the HTTP status, DNS
+ * failures, timeouts, and "soft 404s", pages that answer 200 but say the
+ * page is gone or send every missing path to the home page. Dead links can
+ * be looked up in a web archive; the lookup is a plain function, so the
+ * Wayback Machine's availability API or a local stub can stand in.
+ */
+
+import fetch from "node-fetch";
+
+// What a check found, as written to the status select
+const LINK_STATUSES = {
+  ok: "OK",
+  notFound: "Not found", // 404 and 410
+  blocked: "Blocked", // 401, 403 and 429: the site turned the checker away
+  clientError: "Client error",
+  serverError: "Server error",
+  softNotFound: "Soft 404",
+  dnsFailure: "DNS failure",
+  timeout: "Timeout",
+  error: "Unreachable",
+};
+
+// Statuses that suggest the link is dead and worth an archived copy
+const DEAD_STATUSES = new Set([
+  LINK_STATUSES.notFound,
+  LINK_STATUSES.clientError,
+  LINK_STATUSES.softNotFound,
+  LINK_STATUSES.dnsFailure,
+  LINK_STATUSES.error,
+]);
+
+// Titles of error pages served with a 200
+const SOFT_NOT_FOUND_TITLE =
+  /\b404\b|not found|page (?:does not|doesn't) exist|no longer (?:available|exists)|page (?:is )?unavailable/i;
+
+// Only this much of a page is read to find its title
+const MAX_BODY_BYTES = 256 * 1024;
+
+const DEFAULT_WAYBACK_ENDPOINT = "https://archive.org/wayback/available";
+
+/**
+ * Finds the system error code behind a failed request, e.g. ENOTFOUND
+ * @param {Error} error - The error fetch threw
+ * @returns {string|undefined}
+ */
+function errorCode(error) {
+  return error.code ?? error.cause?.code ?? error.errno;
+}
+
+/**
+ * Reads the start of a response body, without downloading the rest
+ * @param {Object} response - fetch response
+ * @param {number} maxBytes - Most bytes to read
+ * @returns {Promise<string>}
+ */
+async function readBodyStart(response, maxBytes) {
+  if (!response.body) return "";
+
+  const chunks = [];
+  let size = 0;
+  // Leaving the loop early cancels the stream, so the rest isn't fetched
+  for await (const chunk of response.body) {
+    chunks.push(Buffer.from(chunk));
+    size += chunk.length;
+    if (size >= maxBytes) break;
+  }
+  return Buffer.concat(chunks).subarray(0, maxBytes).toString("utf8");
+}
+
+/**
+ * Reads the title of an HTML page
+ * @param {Object} response - fetch response
+ * @returns {Promise<string|null>}
+ */
+async function readTitle(response) {
+  const contentType = response.headers.get("content-type") ?? "";
+  if (!contentType.includes("html")) return null;
+
+  const html = await readBodyStart(response, MAX_BODY_BYTES);
+  const match = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+  return match ? match[1].replace(/\s+/g, " ").trim() : null;
+}
+
+/**
+ * Checks whether a page that answered 200 is really an error page
+ * @param {string} url - The URL that was checked
+ * @param {string} finalUrl - Where its redirects ended
+ * @param {string|null} title - The page's title
+ * @returns {string|null} Why it looks like a soft 404, or null
+ */
+function softNotFoundReason(url, finalUrl, title) {
+  const requested = new URL(url);
+  const landed = new URL(finalUrl);
+
+  // A deep link that ends on the home page usually means the page is gone
+  if (requested.pathname.length > 1 && landed.pathname === "/" && !landed.search) {
+    return `redirected to the home page ${landed.origin}/`;
+  }
+  if (title && SOFT_NOT_FOUND_TITLE.test(title)) return `page title "${title}"`;
+  if (/\/(?:404|not-?found|error)(?:[/.]|$)/i.test(landed.pathname) && landed.pathname !== requested.pathname) {
+    return `redirected to ${landed.pathname}`;
+  }
+  return null;
+}
+
+/**
+ * Checks whether a URL still works
+ * @param {string} url - The URL to check
+ * @param {Object} [options] - Check options
+ * @param {number} [options.timeoutMs] - Time limit for the request
+ * @param {Function} [options.fetcher] - fetch-compatible function
+ * @returns {Promise<{status: string, httpStatus: number|null, detail: string|null}>}
+ */
+async function checkLink(url, options = {}) {
+  const { timeoutMs = 15000, fetcher = fetch } = options;
+
+  let response;
+  try {
+    response = await fetcher(url, {
+      method: "GET",
+      redirect: "follow",
+      signal: AbortSignal.timeout(timeoutMs),
+      headers: { Accept: "text/html,*/*;q=0.8" },
+    });
+  } catch (error) {
+    const code = errorCode(error);
+    if (error.name === "TimeoutError" || error.name === "AbortError" || code === "ETIMEDOUT") {
+      return { status: LINK_STATUSES.timeout, httpStatus: null, detail: `no answer in ${timeoutMs} ms` };
+    }
+    if (code === "ENOTFOUND" || code === "EAI_AGAIN") {
+      return { status: LINK_STATUSES.dnsFailure, httpStatus: null, detail: new URL(url).hostname };
+    }
+    return { status: LINK_STATUSES.error, httpStatus: null, detail: code ?? error.message };
+  }
+
+  const httpStatus = response.status;
+  if (httpStatus === 404 || httpStatus === 410) {
+    return { status: LINK_STATUSES.notFound, httpStatus, detail: null };
+  }
+  if (httpStatus === 401 || httpStatus === 403 || httpStatus === 429) {
+    return { status: LINK_STATUSES.blocked, httpStatus, detail: null };
+  }
+  if (httpStatus >= 500) return { status: LINK_STATUSES.serverError, httpStatus, detail: null };
+  if (httpStatus >= 400) return { status: LINK_STATUSES.clientError, httpStatus, detail: null };
+
+  let title = null;
+  try {
+    title = await readTitle(response);
+  } catch (error) {
+    // The status is enough to go on
+  }
+  const reason = softNotFoundReason(url, response.url || url, title);
+  if (reason) return { status: LINK_STATUSES.softNotFound, httpStatus, detail: reason };
+
+  return { status: LINK_STATUSES.ok, httpStatus, detail: null };
+}
+
+/**
+ * Creates an archive lookup using the Wayback Machine's availability API,
+ * or anything that answers the same way
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.endpoint] - Availability endpoint
+ * @param {number} [options.timeoutMs] - Time limit for each lookup
+ * @param {Function} [options.fetcher] - fetch-compatible function
+ * @returns {Function} Takes a URL and resolves to an archived copy's URL, or null
+ */
+function createWaybackLookup(options = {}) {
+  const { endpoint = DEFAULT_WAYBACK_ENDPOINT, timeoutMs = 15000, fetcher = fetch } = options;
+
+  return async function findArchivedCopy(url) {
+    const lookupUrl = new URL(endpoint);
+    lookupUrl.searchParams.set("url", url);
+    const response = await fetcher(lookupUrl.href, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) throw new Error(`Archive lookup failed: ${response.status}`);
+
+    const closest = (await response.json()).archived_snapshots?.closest;
+    return closest?.available ? closest.url : null;
+  };
+}
+
+export { DEAD_STATUSES, LINK_STATUSES, checkLink, createWaybackLookup };
@@ -0,0 +1,86 @@
+/**
+ * Joplin Note Link Rewriting
+ *
+ * Notes link to each other either with Joplin's own `:/<noteId>` links or,
+ * in Markdown exports, with relative paths to the other note's file. Once
+ * every note has a Notion page, these links are rewritten to point at the
+ * matching page.
+ */
+
+import path from "path";
+
+const JOPLIN_ID = /^:\/([a-f0-9]{32})(?:#.*)?$/i;
+
+/**
+ * Builds the URL of a Notion page
+ * @param {string} pageId - Notion page ID
+ * @returns {string}
+ */
+function notionPageUrl(pageId) {
+  return `https://www.notion.so/${pageId.replace(/-/g, "")}`;
+}
+
+/**
+ * Decodes a percent-encoded path, leaving malformed input as is
+ * @param {string} url - The path to decode
+ * @returns {string}
+ */
+function safeDecode(url) {
+  try {
+    return decodeURIComponent(url);
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Creates a link resolver for one note's Markdown
+ * @param {Object} options - Resolver options
+ * @param {string} options.sourcePath - The note's path relative to the export root, with forward slashes
+ * @param {Map<string, string>} options.pagesBySource - Source path => Notion page ID
+ * @param {Map<string, string>} options.pagesByJoplinId - Joplin note ID => Notion page ID
+ * @param {string[]} options.unresolved - Receives links to notes that weren't imported
+ * @returns {Function} Resolver for markdownToNotionBlocks' resolveLink option
+ */
+function createLinkResolver({ sourcePath, pagesBySource, pagesByJoplinId, unresolved }) {
+  return (url) => {
+    const idMatch = url.match(JOPLIN_ID);
+    if (idMatch) {
+      const pageId = pagesByJoplinId.get(idMatch[1].toLowerCase());
+      if (pageId) return notionPageUrl(pageId);
+      unresolved.push(url);
+      return null;
+    }
+
+    // Relative links to other exported notes
+    if (/^[a-z][a-z0-9+.-]*:/i.test(url)) return undefined;
+    const target = safeDecode(url.split("#")[0]);
+    if (!target.endsWith(".md")) return undefined;
+
+    const resolved = path.posix.normalize(
+      path.posix.join(path.posix.dirname(sourcePath), target)
+    );
+    const pageId = pagesBySource.get(resolved);
+    if (pageId) return notionPageUrl(pageId);
+    unresolved.push(url);
+    return null;
+  };
+}
+
+/**
+ * Tries resolvers in order, using the first that claims a link
+ * @param {...Function} resolvers - Functions returning a value, or undefined to pass
+ * @returns {Function}
+ */
+function chainResolvers(...resolvers) {
+  return (...args) => {
+    for (const resolver of resolvers) {
+      if (!resolver) continue;
+      const result = resolver(...args);
+      if (result !== undefined) return result;
+    }
+    return undefined;
+  };
+}
+
+export { chainResolvers, createLinkResolver, notionPageUrl };
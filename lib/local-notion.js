@@ -0,0 +1,804 @@
+/**
+ * Local Notion Backend
+ *
+ * Stands in for the Notion client, keeping databases, pages and blocks in
+ * memory or in a folder of JSON files, so an import or clean-up can be
+ * rehearsed without a token or network access. It answers the calls the
+ * scripts make (databases.retrieve and query, pages.create, retrieve and update,
+ * blocks.children.append, and file uploads through request and
+ * fileUploads.send) with the shapes, pagination and validation errors
+ * Notion would give, and records every write so the exact payloads can be
+ * inspected afterwards.
+ *
+ * A folder holds:
+ *   databases/<id>.json   each database, as databases.retrieve returns it
+ *   pages/<id>.json       each page, as pages.create returns it
+ *   blocks/<id>.json      the children of a page or block
+ *   uploads/<id>/<name>   uploaded files
+ *   requests.jsonl        every write, one JSON object per line
+ * Databases are copied in with `joplin2notion clone-database`; a page to
+ * import under can be added to pages/ by hand.
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { APIResponseError } from "@notionhq/client";
+import { queryPages } from "./snapshots.js";
+
+const MAX_PAGE_SIZE = 100;
+
+// Notion accepts at most this many children per request
+const MAX_BLOCKS_PER_REQUEST = 100;
+
+// Notion rejects text objects longer than this
+const MAX_TEXT_LENGTH = 2000;
+
+// Properties Notion fills in itself
+const READ_ONLY_TYPES = new Set([
+  "formula",
+  "rollup",
+  "created_time",
+  "created_by",
+  "last_edited_time",
+  "last_edited_by",
+  "unique_id",
+]);
+
+const DEFAULT_ANNOTATIONS = {
+  bold: false,
+  italic: false,
+  strikethrough: false,
+  underline: false,
+  code: false,
+  color: "default",
+};
+
+const LOCAL_USER = { object: "user", id: "00000000-0000-0000-0000-000000000000" };
+
+/**
+ * Builds the error Notion returns for a failed request
+ * @param {number} status - HTTP status
+ * @param {string} code - Notion error code
+ * @param {string} message - Error message
+ * @returns {APIResponseError}
+ */
+function apiError(status, code, message) {
+  return new APIResponseError({
+    code,
+    status,
+    message,
+    headers: {},
+    rawBodyText: JSON.stringify({ object: "error", status, code, message }),
+  });
+}
+
+const invalid = (message) => apiError(400, "validation_error", message);
+
+const notFound = (id) =>
+  apiError(404, "object_not_found", `Could not find object with ID: ${id}. (local backend)`);
+
+/**
+ * Normalizes an ID, which Notion accepts with or without dashes
+ * @param {string} id - Notion ID
+ * @returns {string}
+ */
+function idKey(id) {
+  return String(id ?? "").replace(/-/g, "").toLowerCase();
+}
+
+/**
+ * Converts rich text as sent into rich text as Notion returns it
+ * @param {string} name - Property or block name, for errors
+ * @param {Array} items - Rich text objects
+ * @returns {Array}
+ */
+function toRichText(name, items) {
+  if (!Array.isArray(items)) throw invalid(`${name} should be an array of rich text.`);
+
+  return items.map((item) => {
+    const content = item?.text?.content;
+    if (typeof content !== "string") {
+      throw invalid(`${name} should contain text objects with a string content.`);
+    }
+    if (content.length > MAX_TEXT_LENGTH) {
+      throw invalid(`${name} has text longer than ${MAX_TEXT_LENGTH} characters.`);
+    }
+    const link = item.text.link ?? null;
+    return {
+      type: "text",
+      text: { content, link },
+      annotations: { ...DEFAULT_ANNOTATIONS, ...item.annotations },
+      plain_text: content,
+      href: link?.url ?? null,
+    };
+  });
+}
+
+/**
+ * Gets the value of a property no one has set
+ * @param {Object} property - Property from the database schema
+ * @returns {*}
+ */
+function emptyValue(property) {
+  if (["title", "rich_text", "multi_select", "relation", "people", "files"].includes(property.type)) {
+    return [];
+  }
+  return property.type === "checkbox" ? false : null;
+}
+
+/**
+ * Compares two values for sorting, putting empty values last
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === "") return 1;
+  if (b === null || b === undefined || b === "") return -1;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Gets a property value in a form filters and sorts can compare
+ * @param {Object} property - Property value of a page
+ * @returns {*} A string, number, boolean, list of names or null
+ */
+function comparableValue(property) {
+  const value = property[property.type];
+  switch (property.type) {
+    case "title":
+    case "rich_text":
+      return value.map((text) => text.plain_text).join("");
+    case "select":
+    case "status":
+      return value?.name ?? null;
+    case "multi_select":
+      return value.map((option) => option.name);
+    case "date":
+      return value?.start ?? null;
+    default:
+      return value ?? null;
+  }
+}
+
+/**
+ * Checks a value against one filter condition, e.g. {contains: "x"}
+ * @param {*} value - Comparable value of the property or timestamp
+ * @param {Object} condition - Filter condition
+ * @returns {boolean}
+ */
+function matchesCondition(value, condition) {
+  const time = (date) => Date.parse(date);
+  const isEmptyValue = value === null || value === "" || (Array.isArray(value) && value.length === 0);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "equals":
+        return value === operand;
+      case "does_not_equal":
+        return value !== operand;
+      case "contains":
+        return Array.isArray(value)
+          ? value.includes(operand)
+          : String(value ?? "").toLowerCase().includes(String(operand).toLowerCase());
+      case "does_not_contain":
+        return Array.isArray(value)
+          ? !value.includes(operand)
+          : !String(value ?? "").toLowerCase().includes(String(operand).toLowerCase());
+      case "starts_with":
+        return String(value ?? "").toLowerCase().startsWith(String(operand).toLowerCase());
+      case "ends_with":
+        return String(value ?? "").toLowerCase().endsWith(String(operand).toLowerCase());
+      case "is_empty":
+        return isEmptyValue;
+      case "is_not_empty":
+        return !isEmptyValue;
+      case "greater_than":
+        return value !== null && value > operand;
+      case "less_than":
+        return value !== null && value < operand;
+      case "after":
+        return value !== null && time(value) > time(operand);
+      case "on_or_after":
+        return value !== null && time(value) >= time(operand);
+      case "before":
+        return value !== null && time(value) < time(operand);
+      case "on_or_before":
+        return value !== null && time(value) <= time(operand);
+      default:
+        throw invalid(`The local backend doesn't support the ${operator} filter condition.`);
+    }
+  });
+}
+
+/**
+ * Checks a page against a database query filter
+ * @param {Object} page - The page
+ * @param {Object} [filter] - Notion filter, possibly compound
+ * @returns {boolean}
+ */
+function matchesFilter(page, filter) {
+  if (!filter) return true;
+  if (filter.and) return filter.and.every((part) => matchesFilter(page, part));
+  if (filter.or) return filter.or.some((part) => matchesFilter(page, part));
+
+  if (filter.timestamp) {
+    return matchesCondition(page[filter.timestamp], filter[filter.timestamp] ?? {});
+  }
+
+  const property = page.properties[filter.property];
+  if (!property) throw invalid(`Could not find property with name or id: ${filter.property}`);
+  const condition = filter[property.type];
+  if (!condition) throw invalid(`The filter on ${filter.property} should be of type ${property.type}.`);
+  return matchesCondition(comparableValue(property), condition);
+}
+
+class LocalNotion {
+  constructor(dir) {
+    this.dir = dir; // Folder of JSON files, or undefined to keep everything in memory
+    this.databasesById = new Map(); // ID key => database
+    this.pagesById = new Map(); // ID key => page
+    this.blocksById = new Map(); // ID key => block
+    this.children = new Map(); // Page or block ID key => child block IDs
+    this.uploads = new Map(); // ID key => file upload
+    this.fileNames = new Map(); // "subdir/ID key" => name of a file added by hand
+    this.requests = []; // Every write, in order
+    this.loading = null;
+
+    // The parts of the Notion client the scripts use
+    this.databases = {
+      retrieve: (args) => this.retrieveDatabase(args),
+      query: (args) => this.queryDatabase(args),
+    };
+    this.pages = {
+      create: (args) => this.createPage(args),
+      retrieve: (args) => this.retrievePage(args),
+      update: (args) => this.updatePage(args),
+    };
+    this.blocks = {
+      children: { append: (args) => this.appendChildren(args) },
+    };
+    this.fileUploads = {
+      send: (args) => this.sendFileUpload(args),
+    };
+  }
+
+  /**
+   * Loads the folder the first time it's needed
+   * @returns {Promise<void>}
+   */
+  ready() {
+    this.loading ??= this.dir ? this.load() : Promise.resolve();
+    return this.loading;
+  }
+
+  /**
+   * Reads every JSON file in the folder
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const readAll = async (subdir) => {
+      let files;
+      try {
+        files = await fs.readdir(path.join(this.dir, subdir));
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+      return Promise.all(
+        files
+          .filter((file) => file.endsWith(".json"))
+          .map(async (file) => [
+            path.basename(file, ".json"),
+            JSON.parse(await fs.readFile(path.join(this.dir, subdir, file), "utf8")),
+          ])
+      );
+    };
+
+    for (const [fileName, database] of await readAll("databases")) {
+      this.databasesById.set(idKey(database.id), database);
+      this.fileNames.set(`databases/${idKey(database.id)}`, fileName);
+    }
+    for (const [fileName, page] of await readAll("pages")) {
+      this.pagesById.set(idKey(page.id), page);
+      this.fileNames.set(`pages/${idKey(page.id)}`, fileName);
+    }
+    for (const [parentKey, blocks] of await readAll("blocks")) {
+      this.children.set(parentKey, blocks.map((block) => idKey(block.id)));
+      blocks.forEach((block) => this.blocksById.set(idKey(block.id), block));
+    }
+  }
+
+  /**
+   * Writes an object to the folder, if there is one
+   * @param {string} subdir - databases, pages or blocks
+   * @param {string} key - ID key of the object
+   * @param {Object} value - What to write
+   * @returns {Promise<void>}
+   */
+  async persist(subdir, key, value) {
+    if (!this.dir) return;
+    const fileName = this.fileNames.get(`${subdir}/${key}`) ?? key;
+    const filePath = path.join(this.dir, subdir, `${fileName}.json`);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(value, null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Records a write, in memory and in requests.jsonl
+   * @param {string} method - Client method, e.g. pages.create
+   * @param {Object} args - The arguments it was called with
+   * @returns {Promise<void>}
+   */
+  async record(method, args) {
+    const request = { time: new Date().toISOString(), method, args };
+    this.requests.push(request);
+    if (!this.dir) return;
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.appendFile(path.join(this.dir, "requests.jsonl"), `${JSON.stringify(request)}\n`);
+  }
+
+  /**
+   * Writes a page's or block's children to the folder, and theirs
+   * @param {string} parentKey - ID key of the page or block
+   * @returns {Promise<void>}
+   */
+  async persistChildren(parentKey) {
+    const blocks = (this.children.get(parentKey) ?? []).map((key) => this.blocksById.get(key));
+    await this.persist("blocks", parentKey, blocks);
+    for (const block of blocks) {
+      if (block.has_children) await this.persistChildren(idKey(block.id));
+    }
+  }
+
+  /**
+   * Adds a database and its pages, e.g. copied from Notion
+   * @param {Object} database - The database, as databases.retrieve returns it
+   * @param {Object[]} [pages] - Its pages, as databases.query returns them
+   * @returns {Promise<void>}
+   */
+  async addDatabase(database, pages = []) {
+    await this.ready();
+    this.databasesById.set(idKey(database.id), database);
+    await this.persist("databases", idKey(database.id), database);
+    for (const page of pages) {
+      this.pagesById.set(idKey(page.id), page);
+      await this.persist("pages", idKey(page.id), page);
+    }
+  }
+
+  /**
+   * Gets a database by ID
+   * @param {string} databaseId - Notion database ID
+   * @returns {Object}
+   */
+  getDatabase(databaseId) {
+    const database = this.databasesById.get(idKey(databaseId));
+    if (!database) throw notFound(databaseId);
+    return database;
+  }
+
+  /**
+   * Gets a page by ID
+   * @param {string} pageId - Notion page ID
+   * @returns {Object}
+   */
+  getPage(pageId) {
+    const page = this.pagesById.get(idKey(pageId));
+    if (!page) throw notFound(pageId);
+    return page;
+  }
+
+  /**
+   * Mimics databases.retrieve
+   * @param {Object} args - {database_id}
+   * @returns {Promise<Object>}
+   */
+  async retrieveDatabase({ database_id: databaseId }) {
+    await this.ready();
+    return structuredClone(this.getDatabase(databaseId));
+  }
+
+  /**
+   * Mimics databases.query, with filters, sorts and pagination
+   * @param {Object} args - {database_id, filter, sorts, start_cursor, page_size}
+   * @returns {Promise<Object>}
+   */
+  async queryDatabase(args) {
+    await this.ready();
+    const { database_id: databaseId, filter, sorts, start_cursor: startCursor, page_size: pageSize } = args;
+    this.getDatabase(databaseId);
+
+    const size = pageSize ?? MAX_PAGE_SIZE;
+    if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+      throw invalid(`page_size should be between 1 and ${MAX_PAGE_SIZE}, instead was ${pageSize}.`);
+    }
+
+    const pages = Array.from(this.pagesById.values()).filter(
+      (page) =>
+        idKey(page.parent?.database_id) === idKey(databaseId) &&
+        !page.archived &&
+        !page.in_trash &&
+        matchesFilter(page, filter)
+    );
+
+    for (const sort of [...(sorts ?? [])].reverse()) {
+      const value = (page) =>
+        sort.timestamp ? page[sort.timestamp] : comparableValue(page.properties[sort.property] ?? {});
+      const direction = sort.direction === "descending" ? -1 : 1;
+      pages.sort((a, b) => direction * compareValues(value(a), value(b)));
+    }
+
+    // Like Notion, the cursor is the ID of the first page not yet returned
+    let start = 0;
+    if (startCursor) {
+      start = pages.findIndex((page) => idKey(page.id) === idKey(startCursor));
+      if (start === -1) throw invalid("start_cursor provided is invalid.");
+    }
+    const results = pages.slice(start, start + size);
+    const hasMore = start + size < pages.length;
+
+    return {
+      object: "list",
+      results: structuredClone(results),
+      next_cursor: hasMore ? pages[start + size].id : null,
+      has_more: hasMore,
+      type: "page_or_database",
+      page_or_database: {},
+    };
+  }
+
+  /**
+   * Validates a property value against the schema and converts it into
+   * the form Notion returns, adding new select options to the schema
+   * @param {Object} database - The page's database
+   * @param {string} name - Property name or ID as sent
+   * @param {Object} value - Property value as sent
+   * @returns {{name: string, value: Object, schemaChanged: boolean}}
+   */
+  toPropertyValue(database, name, value) {
+    const [propertyName, property] =
+      Object.entries(database.properties).find(
+        ([key, candidate]) => key === name || candidate.id === name
+      ) ?? [];
+    if (!property) throw invalid(`${name} is not a property that exists.`);
+
+    const { type } = property;
+    if (READ_ONLY_TYPES.has(type)) {
+      throw invalid(`${propertyName} is a ${type} property, which can't be set.`);
+    }
+    if (!value || !(type in value)) throw invalid(`${propertyName} is expected to be ${type}.`);
+
+    const raw = value[type];
+    let converted = raw;
+    let schemaChanged = false;
+
+    // Notion creates select options the first time they're used
+    const toOption = (option) => {
+      if (typeof option?.name !== "string" || option.name.trim() === "") {
+        throw invalid(`${propertyName} options should have a name.`);
+      }
+      if (option.name.includes(",")) throw invalid(`${propertyName} option names can't contain commas.`);
+      const options = property[type].options ?? (property[type].options = []);
+      let existing = options.find((candidate) => candidate.name === option.name);
+      if (!existing) {
+        existing = { id: crypto.randomUUID(), name: option.name, color: option.color ?? "default" };
+        options.push(existing);
+        schemaChanged = true;
+      }
+      return existing;
+    };
+
+    switch (type) {
+      case "title":
+      case "rich_text":
+        converted = toRichText(propertyName, raw);
+        break;
+      case "url":
+      case "email":
+      case "phone_number":
+        if (raw !== null && typeof raw !== "string") {
+          throw invalid(`${propertyName}.${type} should be a string or \`null\`.`);
+        }
+        if (type === "url" && raw !== null && raw.length > MAX_TEXT_LENGTH) {
+          throw invalid(`${propertyName}.url should be at most ${MAX_TEXT_LENGTH} characters.`);
+        }
+        break;
+      case "number":
+        if (raw !== null && typeof raw !== "number") {
+          throw invalid(`${propertyName}.number should be a number or \`null\`.`);
+        }
+        break;
+      case "checkbox":
+        if (typeof raw !== "boolean") throw invalid(`${propertyName}.checkbox should be a boolean.`);
+        break;
+      case "select":
+        converted = raw === null ? null : toOption(raw);
+        break;
+      case "status": {
+        if (raw === null) break;
+        converted = property.status.options?.find((option) => option.name === raw?.name);
+        if (!converted) throw invalid(`${propertyName} has no status named ${raw?.name}.`);
+        break;
+      }
+      case "multi_select":
+        if (!Array.isArray(raw)) throw invalid(`${propertyName}.multi_select should be an array.`);
+        converted = raw.map(toOption);
+        break;
+      case "date":
+        if (raw === null) break;
+        if (typeof raw?.start !== "string" || Number.isNaN(Date.parse(raw.start))) {
+          throw invalid(`${propertyName}.date.start should be an ISO 8601 date.`);
+        }
+        converted = { start: raw.start, end: raw.end ?? null, time_zone: raw.time_zone ?? null };
+        break;
+      default:
+        if (!Array.isArray(raw)) throw invalid(`${propertyName}.${type} should be an array.`);
+    }
+
+    return { name: propertyName, value: { id: property.id, type, [type]: converted }, schemaChanged };
+  }
+
+  /**
+   * Validates blocks and stores them as children of a page or block
+   * @param {string} parentKey - ID key of the page or block
+   * @param {Array} children - Blocks as sent
+   * @returns {Object[]} The stored blocks
+   */
+  addChildren(parentKey, children) {
+    if (!Array.isArray(children)) throw invalid("children should be an array.");
+    if (children.length > MAX_BLOCKS_PER_REQUEST) {
+      throw invalid(`children should have at most ${MAX_BLOCKS_PER_REQUEST} blocks, not ${children.length}.`);
+    }
+
+    const now = new Date().toISOString();
+    const created = children.map((child) => {
+      const type = child?.type ?? Object.keys(child ?? {}).find((key) => key !== "object");
+      if (!type || !child[type]) throw invalid(`Block is missing its ${type ?? "type"} content.`);
+
+      const { children: nested, ...content } = child[type];
+      if (content.rich_text) content.rich_text = toRichText(`${type}.rich_text`, content.rich_text);
+      if (content.caption) content.caption = toRichText(`${type}.caption`, content.caption);
+      if (content.type === "file_upload") {
+        const upload = this.uploads.get(idKey(content.file_upload?.id));
+        if (!upload || upload.status !== "uploaded") {
+          throw invalid(`File upload ${content.file_upload?.id} hasn't been uploaded.`);
+        }
+      }
+
+      const block = {
+        object: "block",
+        id: crypto.randomUUID(),
+        parent: this.pagesById.has(parentKey)
+          ? { type: "page_id", page_id: this.pagesById.get(parentKey).id }
+          : { type: "block_id", block_id: this.blocksById.get(parentKey).id },
+        created_time: now,
+        last_edited_time: now,
+        has_children: false,
+        archived: false,
+        type,
+        [type]: content,
+      };
+      this.blocksById.set(idKey(block.id), block);
+      if (nested?.length) {
+        block.has_children = true;
+        this.addChildren(idKey(block.id), nested);
+      }
+      return block;
+    });
+
+    const existing = this.children.get(parentKey) ?? [];
+    this.children.set(parentKey, [...existing, ...created.map((block) => idKey(block.id))]);
+    return created;
+  }
+
+  /**
+   * Mimics pages.create, validating the properties against the schema
+   * @param {Object} args - {parent, properties, children, icon, cover}
+   * @returns {Promise<Object>}
+   */
+  async createPage(args) {
+    await this.ready();
+    const { parent, properties = {}, children, icon = null, cover = null } = args;
+    const now = new Date().toISOString();
+    const page = {
+      object: "page",
+      id: crypto.randomUUID(),
+      created_time: now,
+      last_edited_time: now,
+      created_by: LOCAL_USER,
+      last_edited_by: LOCAL_USER,
+      cover,
+      icon,
+      parent: null,
+      archived: false,
+      in_trash: false,
+      properties: {},
+      url: null,
+      public_url: null,
+    };
+    page.url = `https://www.notion.so/${idKey(page.id)}`;
+
+    let database = null;
+    if (parent?.database_id) {
+      database = this.getDatabase(parent.database_id);
+      page.parent = { type: "database_id", database_id: database.id };
+      for (const [name, property] of Object.entries(database.properties)) {
+        page.properties[name] = {
+          id: property.id,
+          type: property.type,
+          [property.type]: emptyValue(property),
+        };
+      }
+    } else if (parent?.page_id) {
+      const parentPage = this.getPage(parent.page_id);
+      page.parent = { type: "page_id", page_id: parentPage.id };
+    } else {
+      throw invalid("parent should have a database_id or a page_id.");
+    }
+
+    let schemaChanged = false;
+    for (const [name, value] of Object.entries(properties)) {
+      if (!database) {
+        if (name !== "title") throw invalid(`Pages under a page can only have a title, not ${name}.`);
+        page.properties.title = { id: "title", type: "title", title: toRichText(name, value.title) };
+        continue;
+      }
+      const result = this.toPropertyValue(database, name, value);
+      page.properties[result.name] = result.value;
+      schemaChanged ||= result.schemaChanged;
+    }
+
+    const blocks = children ? this.addChildren(idKey(page.id), children) : [];
+
+    await this.record("pages.create", args);
+    this.pagesById.set(idKey(page.id), page);
+    await this.persist("pages", idKey(page.id), page);
+    if (schemaChanged) await this.persist("databases", idKey(database.id), database);
+    if (blocks.length > 0) await this.persistChildren(idKey(page.id));
+    return structuredClone(page);
+  }
+
+  /**
+   * Mimics pages.retrieve
+   * @param {Object} args - {page_id}
+   * @returns {Promise<Object>}
+   */
+  async retrievePage({ page_id: pageId }) {
+    await this.ready();
+    return structuredClone(this.getPage(pageId));
+  }
+
+  /**
+   * Mimics pages.update, including archiving
+   * @param {Object} args - {page_id, properties, archived, in_trash, icon, cover}
+   * @returns {Promise<Object>}
+   */
+  async updatePage(args) {
+    await this.ready();
+    const { page_id: pageId, properties = {}, archived, in_trash: inTrash, icon, cover } = args;
+    const page = this.getPage(pageId);
+    const database = page.parent?.database_id ? this.getDatabase(page.parent.database_id) : null;
+
+    // Validate everything before changing anything, as Notion does
+    const updates = Object.entries(properties).map(([name, value]) => {
+      if (database) return this.toPropertyValue(database, name, value);
+      if (name !== "title") throw invalid(`Pages under a page can only have a title, not ${name}.`);
+      return { name, value: { id: "title", type: "title", title: toRichText(name, value.title) } };
+    });
+
+    await this.record("pages.update", args);
+    for (const { name, value } of updates) page.properties[name] = value;
+    if (archived !== undefined) page.archived = page.in_trash = Boolean(archived);
+    if (inTrash !== undefined) page.archived = page.in_trash = Boolean(inTrash);
+    if (icon !== undefined) page.icon = icon;
+    if (cover !== undefined) page.cover = cover;
+    page.last_edited_time = new Date().toISOString();
+
+    await this.persist("pages", idKey(page.id), page);
+    if (updates.some((update) => update.schemaChanged)) {
+      await this.persist("databases", idKey(database.id), database);
+    }
+    return structuredClone(page);
+  }
+
+  /**
+   * Mimics blocks.children.append
+   * @param {Object} args - {block_id, children}
+   * @returns {Promise<Object>}
+   */
+  async appendChildren(args) {
+    await this.ready();
+    const { block_id: blockId, children } = args;
+    const parentKey = idKey(blockId);
+    if (!this.pagesById.has(parentKey) && !this.blocksById.has(parentKey)) throw notFound(blockId);
+
+    const blocks = this.addChildren(parentKey, children);
+    await this.record("blocks.children.append", args);
+    await this.persistChildren(parentKey);
+    return { object: "list", results: structuredClone(blocks), next_cursor: null, has_more: false };
+  }
+
+  /**
+   * Answers the raw requests the scripts make: creating a file upload
+   * @param {Object} args - Path, method and body
+   * @returns {Promise<Object>}
+   */
+  async request(args) {
+    await this.ready();
+    const { path: requestPath, method, body = {} } = args;
+    if (requestPath !== "file_uploads" || method.toLowerCase() !== "post") {
+      throw invalid(`The local backend doesn't support ${method.toUpperCase()} /${requestPath}.`);
+    }
+
+    const upload = {
+      object: "file_upload",
+      id: crypto.randomUUID(),
+      created_time: new Date().toISOString(),
+      filename: body.filename ?? null,
+      content_type: body.content_type ?? null,
+      status: "pending",
+    };
+    await this.record("request", args);
+    this.uploads.set(idKey(upload.id), upload);
+    return structuredClone(upload);
+  }
+
+  /**
+   * Mimics fileUploads.send, keeping the file in the folder
+   * @param {Object} args - {file_upload_id, file: {filename, data}}
+   * @returns {Promise<Object>}
+   */
+  async sendFileUpload({ file_upload_id: uploadId, file }) {
+    await this.ready();
+    const upload = this.uploads.get(idKey(uploadId));
+    if (!upload) throw notFound(uploadId);
+    if (upload.status !== "pending") throw invalid(`File upload ${uploadId} was already sent.`);
+
+    const data = Buffer.from(await new Response(file.data).arrayBuffer());
+    await this.record("fileUploads.send", {
+      file_upload_id: uploadId,
+      file: { filename: file.filename, size: data.length },
+    });
+    if (this.dir) {
+      const fileName = path.basename(file.filename ?? "file");
+      const filePath = path.join(this.dir, "uploads", idKey(uploadId), fileName);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, data);
+    }
+
+    upload.status = "uploaded";
+    upload.content_length = data.length;
+    return structuredClone(upload);
+  }
+}
+
+/**
+ * Creates a local stand-in for the Notion client
+ * @param {Object} [options] - Backend options
+ * @param {string} [options.dir] - Folder of JSON files; without one, everything stays in memory
+ * @returns {LocalNotion}
+ */
+function createLocalNotion(options = {}) {
+  return new LocalNotion(options.dir);
+}
+
+/**
+ * Copies a database's schema and pages from Notion into a local backend
+ * @param {Client} notion - Notion client to read from
+ * @param {LocalNotion} backend - Local backend to write to
+ * @param {string} databaseId - Notion database ID
+ * @returns {Promise<number>} Number of pages copied
+ */
+async function cloneDatabase(notion, backend, databaseId) {
+  const database = await notion.databases.retrieve({ database_id: databaseId });
+  const pages = await queryPages(notion, databaseId, { pageSize: MAX_PAGE_SIZE });
+  await backend.addDatabase(database, pages);
+  return pages.length;
+}
+
+export { LocalNotion, cloneDatabase, createLocalNotion };
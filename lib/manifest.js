@@ -0,0 +1,208 @@
+/**
+ * Import Manifest
+ *
+ * Records which source files have already been imported, keyed by their path
+ * and content hash, so an interrupted import can be re-run without creating
+ * duplicate pages. The manifest is rewritten atomically after every change.
+ *
+ * A note is "created" once its page exists and "imported" once its content
+ * has been added too, so links between notes can point at pages created
+ * later in the same run.
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Hashes a file's content
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ */
+async function hashFile(filePath) {
+  const content = await fs.readFile(filePath);
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+class Manifest {
+  constructor(filePath, target, entries = {}) {
+    this.filePath = filePath; // Where the manifest lives on disk
+    this.target = target; // The Notion database or page imported into
+    this.entries = entries; // Source path => { hash, status, pageId, joplinId, appendedChunks, error, updatedAt }
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Loads a manifest from disk, or starts an empty one
+   * @param {string} filePath - Manifest file
+   * @param {string} target - The Notion database or page being imported into
+   * @returns {Promise<Manifest>}
+   */
+  static async load(filePath, target) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return new Manifest(filePath, target);
+      throw new Error(`Could not read manifest ${filePath}: ${error.message}`);
+    }
+
+    if (data.version !== MANIFEST_VERSION) {
+      throw new Error(`Unsupported manifest version in ${filePath}: ${data.version}`);
+    }
+    if (data.target !== target) {
+      throw new Error(
+        `Manifest ${filePath} belongs to ${data.target}, not ${target}; use another manifest file`
+      );
+    }
+
+    return new Manifest(filePath, target, data.entries);
+  }
+
+  /**
+   * Gets the recorded state of a source file
+   * @param {string} sourcePath - Source file, relative to the import root
+   * @returns {Object|undefined}
+   */
+  get(sourcePath) {
+    return this.entries[sourcePath];
+  }
+
+  /**
+   * Checks whether a source file has already been imported
+   * @param {string} sourcePath - Source file, relative to the import root
+   * @returns {boolean}
+   */
+  isImported(sourcePath) {
+    return this.entries[sourcePath]?.status === "imported";
+  }
+
+  /**
+   * Checks whether a source file has a page whose content is still missing
+   * @param {string} sourcePath - Source file, relative to the import root
+   * @returns {boolean}
+   */
+  isCreated(sourcePath) {
+    return this.entries[sourcePath]?.status === "created";
+  }
+
+  /**
+   * Records that a page exists for a source file, before its content is added
+   * @param {string} sourcePath - Source file, relative to the import root
+   * @param {string} hash - Content hash of the file
+   * @param {string} pageId - The Notion page created for it
+   * @param {string} [joplinId] - The note's Joplin ID, if known
+   * @returns {Promise<void>}
+   */
+  markCreated(sourcePath, hash, pageId, joplinId) {
+    this.entries[sourcePath] = {
+      hash,
+      status: "created",
+      pageId,
+      joplinId,
+      updatedAt: new Date().toISOString(),
+    };
+    return this.save();
+  }
+
+  /**
+   * Records how much of a created page's content has been appended, so a
+   * retry carries on from there instead of adding it all again
+   * @param {string} sourcePath - Source file, relative to the import root
+   * @param {number} chunks - Chunks of blocks appended so far
+   * @returns {Promise<void>}
+   */
+  markAppended(sourcePath, chunks) {
+    this.entries[sourcePath] = {
+      ...this.entries[sourcePath],
+      appendedChunks: chunks,
+      updatedAt: new Date().toISOString(),
+    };
+    return this.save();
+  }
+
+  /**
+   * Records a successful import
+   * @param {string} sourcePath - Source file, relative to the import root
+   * @param {string} hash - Content hash of the imported file
+   * @param {string} pageId - The Notion page created for it
+   * @param {string} [joplinId] - The note's Joplin ID, if not already recorded
+   * @returns {Promise<void>}
+   */
+  markImported(sourcePath, hash, pageId, joplinId = this.entries[sourcePath]?.joplinId) {
+    this.entries[sourcePath] = {
+      hash,
+      status: "imported",
+      pageId,
+      joplinId,
+      updatedAt: new Date().toISOString(),
+    };
+    return this.save();
+  }
+
+  /**
+   * Records a failed import so the next run retries it. A page that was
+   * already created is kept, so the retry only adds its content.
+   * @param {string} sourcePath - Source file, relative to the import root
+   * @param {string} hash - Content hash of the file
+   * @param {string} error - Why the import failed
+   * @returns {Promise<void>}
+   */
+  markFailed(sourcePath, hash, error) {
+    const previous = this.entries[sourcePath];
+    this.entries[sourcePath] = previous?.pageId
+      ? { ...previous, error, updatedAt: new Date().toISOString() }
+      : { hash, status: "failed", error, updatedAt: new Date().toISOString() };
+    return this.save();
+  }
+
+  /**
+   * Writes the manifest to a temporary file and renames it into place, so an
+   * interrupted write never leaves a truncated manifest behind
+   * @returns {Promise<void>}
+   */
+  save() {
+    const data = JSON.stringify(
+      { version: MANIFEST_VERSION, target: this.target, entries: this.entries },
+      null,
+      2
+    );
+
+    // Serialize saves so an older snapshot can't overwrite a newer one. A
+    // failed save is reported to its caller only; the next one still runs.
+    this.saving = this.saving
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, this.filePath);
+      });
+    return this.saving;
+  }
+}
+
+/**
+ * Stops a long-running loop cleanly on Ctrl-C. The first interrupt asks the
+ * loop to stop after the current item; a second one exits immediately.
+ * @returns {{stopped: boolean, dispose: Function}} Check `stopped` between items
+ */
+function handleInterrupts() {
+  const state = {
+    stopped: false,
+    dispose: () => process.removeListener("SIGINT", onInterrupt),
+  };
+
+  function onInterrupt() {
+    if (state.stopped) process.exit(130);
+    state.stopped = true;
+    console.log("\nInterrupted; finishing the current file. Press Ctrl-C again to quit now.");
+  }
+
+  process.on("SIGINT", onInterrupt);
+  return state;
+}
+
+export { Manifest, handleInterrupts, hashFile };
@@ -0,0 +1,295 @@
+/**
+ * Front Matter to Notion Property Mapping
+ *
+ * A mapping file (YAML or JSON) says which front matter key, derived value or
+ * constant fills each Notion property, and what type that property has:
+ *
+ *   properties:
+ *     Title:
+ *       type: title
+ *       from: $title        # $-prefixed names are values derived by the importer
+ *       default: Untitled
+ *     Link:
+ *       type: url
+ *       from: [source, $firstLine]   # the first non-empty value wins
+ *     Tags:
+ *       type: multi_select
+ *       from: tags
+ *       extra: [joplin]     # always added
+ *       aliases: { js: JavaScript }   # or a YAML/JSON file of aliases
+ *       lowercase: true     # lowercase tags that have no alias
+ *
+ * Supported types: title, rich_text, url, date, checkbox, select,
+ * multi_select and number. A `value` sets a constant instead of `from`.
+ * Date properties take a `timezone` for timestamps without an offset, and
+ * `optional: true` skips a property the database doesn't have.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import yaml from "yaml";
+import { parseJoplinDate } from "./dates.js";
+
+// Notion rejects text objects longer than this
+const MAX_TEXT_LENGTH = 2000;
+
+const TRUE_VALUES = new Set(["true", "yes", "y", "1", "x", "on", "done", "completed"]);
+
+// Converts a value into a Notion property value, by property type
+const CONVERTERS = {
+  title: (value) => ({ title: toRichText(value) }),
+  rich_text: (value) => ({ rich_text: toRichText(value) }),
+  url: (value) => ({ url: isEmpty(value) ? null : String(value).trim() }),
+  date: (value, spec) => ({ date: parseJoplinDate(value, spec.timezone) }),
+  checkbox: (value) => ({ checkbox: toBoolean(value) }),
+  select: (value) => ({ select: isEmpty(value) ? null : { name: toOptionName(value) } }),
+  multi_select: (value) => ({
+    multi_select: toList(value).map((name) => ({ name: toOptionName(name) })),
+  }),
+  number: (value) => ({ number: toNumber(value) }),
+};
+
+/**
+ * Checks whether a value counts as missing
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "") ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * Converts a value into rich text, splitting content Notion would reject
+ * @param {*} value - The value to convert
+ * @returns {Array} Notion rich_text objects
+ */
+function toRichText(value) {
+  if (isEmpty(value)) return [];
+  const content = Array.isArray(value) ? value.join(", ") : String(value);
+  const richText = [];
+  for (let i = 0; i < content.length; i += MAX_TEXT_LENGTH) {
+    richText.push({ text: { content: content.slice(i, i + MAX_TEXT_LENGTH) } });
+  }
+  return richText;
+}
+
+/**
+ * Converts a value into a boolean, accepting yes/no style strings
+ * @param {*} value - The value to convert
+ * @returns {boolean}
+ */
+function toBoolean(value) {
+  if (typeof value === "boolean") return value;
+  if (isEmpty(value)) return false;
+  return TRUE_VALUES.has(String(value).trim().toLowerCase());
+}
+
+/**
+ * Converts a value into a number
+ * @param {*} value - The value to convert
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (isEmpty(value)) return null;
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`Not a valid number: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Converts a value into a list, splitting comma-separated strings
+ * @param {*} value - The value to convert
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (isEmpty(value)) return [];
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Cleans a select option name; Notion doesn't allow commas in them
+ * @param {*} value - The option name
+ * @returns {string}
+ */
+function toOptionName(value) {
+  return String(value).replace(/,/g, " ").trim().slice(0, 100);
+}
+
+/**
+ * Applies a select spec's aliases, lowercasing and extra options
+ * @param {Object} spec - Property spec from the mapping
+ * @param {*} value - The option or options read from the note
+ * @returns {string[]} Option names, without duplicates
+ */
+function applyOptionRules(spec, value) {
+  const { aliases = {}, lowercase = false, extra = [] } = spec;
+  const names = new Map(); // Lowercased name => name, to drop case-only duplicates
+
+  for (const item of [...toList(value), ...toList(extra)]) {
+    const alias = aliases[item.toLowerCase()];
+    const name = alias ?? (lowercase ? item.toLowerCase() : item);
+    if (!names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+  }
+
+  return Array.from(names.values());
+}
+
+/**
+ * Looks up the value a property spec reads from a note
+ * @param {Object} spec - Property spec from the mapping
+ * @param {Object} note - Note to read from
+ * @param {Object} note.frontMatter - Parsed front matter
+ * @param {Object} note.derived - Values derived by the importer
+ * @returns {*}
+ */
+function resolveValue(spec, note) {
+  if ("value" in spec) return spec.value;
+
+  // A spec with only `extra` reads nothing from the note
+  const sources = spec.from === undefined ? [] : [].concat(spec.from);
+  for (const source of sources) {
+    const value = source.startsWith("$")
+      ? note.derived?.[source.slice(1)]
+      : note.frontMatter?.[source];
+    if (!isEmpty(value)) return value;
+  }
+  return spec.default;
+}
+
+/**
+ * Builds Notion page properties for a note
+ * @param {Object} mapping - Loaded mapping
+ * @param {Object} note - Note with frontMatter and derived values
+ * @returns {Object} Notion properties
+ */
+function buildProperties(mapping, note) {
+  const properties = {};
+  for (const [name, spec] of Object.entries(mapping.properties)) {
+    try {
+      let value = resolveValue(spec, note);
+      if (spec.type === "multi_select") {
+        value = applyOptionRules(spec, value);
+      } else if (spec.type === "select" && !isEmpty(value)) {
+        value = applyOptionRules({ ...spec, extra: [] }, value)[0];
+      }
+      properties[name] = CONVERTERS[spec.type](value, spec);
+    } catch (error) {
+      throw new Error(`Property "${name}": ${error.message}`);
+    }
+  }
+  return properties;
+}
+
+/**
+ * Checks a parsed mapping for mistakes that don't need the database
+ * @param {Object} mapping - Parsed mapping
+ * @param {string} source - Where the mapping came from, for error messages
+ */
+function checkMapping(mapping, source) {
+  if (!mapping || typeof mapping.properties !== "object") {
+    throw new Error(`Mapping ${source} has no properties section`);
+  }
+
+  const problems = [];
+  for (const [name, spec] of Object.entries(mapping.properties)) {
+    if (!CONVERTERS[spec?.type]) {
+      problems.push(`"${name}" has unsupported type ${spec?.type}`);
+    } else if (!("value" in spec) && !spec.from && !spec.extra) {
+      problems.push(`"${name}" needs either "from" or "value"`);
+    } else if (spec.timezone) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: spec.timezone });
+      } catch (error) {
+        problems.push(`"${name}" has unknown timezone ${spec.timezone}`);
+      }
+    }
+  }
+
+  const titles = Object.values(mapping.properties).filter((spec) => spec?.type === "title");
+  if (titles.length !== 1) {
+    problems.push(`exactly one property must have type title, found ${titles.length}`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid mapping ${source}:\n- ${problems.join("\n- ")}`);
+  }
+}
+
+/**
+ * Loads a YAML or JSON mapping file
+ * @param {string} filePath - Mapping file
+ * @returns {Promise<Object>} The mapping
+ */
+async function loadMapping(filePath) {
+  const content = await fs.readFile(filePath, "utf8");
+  const mapping = path.extname(filePath).toLowerCase() === ".json"
+    ? JSON.parse(content)
+    : yaml.parse(content);
+
+  checkMapping(mapping, filePath);
+
+  // Alias tables may live in their own file, relative to the mapping
+  for (const spec of Object.values(mapping.properties)) {
+    if (typeof spec.aliases === "string") {
+      const aliasFile = path.resolve(path.dirname(filePath), spec.aliases);
+      const aliasContent = await fs.readFile(aliasFile, "utf8");
+      spec.aliases = path.extname(aliasFile).toLowerCase() === ".json"
+        ? JSON.parse(aliasContent)
+        : yaml.parse(aliasContent);
+    }
+    if (spec.aliases) {
+      // Match aliases case-insensitively
+      spec.aliases = Object.fromEntries(
+        Object.entries(spec.aliases).map(([from, to]) => [from.toLowerCase(), String(to)])
+      );
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Checks that a database has every mapped property, with the mapped type
+ * @param {Client} notion - Notion client
+ * @param {string} databaseId - Notion database ID
+ * @param {Object} mapping - Loaded mapping
+ * @returns {Promise<Object>} The mapping, without optional properties the database lacks
+ */
+async function validateMapping(notion, databaseId, mapping) {
+  const database = await notion.databases.retrieve({ database_id: databaseId });
+
+  const problems = [];
+  const properties = {};
+  for (const [name, spec] of Object.entries(mapping.properties)) {
+    const property = database.properties[name];
+    if (!property && spec.optional) {
+      console.log(`Database has no "${name}" property; skipping it`);
+      continue;
+    }
+
+    properties[name] = spec;
+    if (!property) {
+      problems.push(`missing property "${name}" (${spec.type})`);
+    } else if (property.type !== spec.type) {
+      problems.push(`property "${name}" is ${property.type}, but the mapping expects ${spec.type}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Database ${databaseId} doesn't match the mapping:\n- ${problems.join("\n- ")}`
+    );
+  }
+
+  return { ...mapping, properties };
+}
+
+export { buildProperties, loadMapping, validateMapping };
@@ -0,0 +1,543 @@
+/**
+ * Markdown to Notion Block Converter
+ *
+ * Turns the Markdown body of a Joplin note into Notion blocks:
+ * - Headings (#, ##, ### and deeper, capped at heading_3)
+ * - Paragraphs, with soft line breaks kept
+ * - Bulleted, numbered and to-do lists, including nested items
+ * - Fenced code blocks with a language
+ * - Block quotes and horizontal rules
+ * - Tables, standalone images and attachment links
+ * - Inline bold, italic, strikethrough, code and links
+ */
+
+// Notion rejects text objects longer than this
+const MAX_TEXT_LENGTH = 2000;
+
+// Notion accepts at most two levels of nested children per request
+const MAX_NESTING_DEPTH = 2;
+
+// Languages accepted by Notion code blocks, keyed by common Markdown aliases
+const CODE_LANGUAGES = {
+  bash: "bash",
+  sh: "shell",
+  shell: "shell",
+  zsh: "shell",
+  c: "c",
+  "c++": "c++",
+  cpp: "c++",
+  "c#": "c#",
+  cs: "c#",
+  csharp: "c#",
+  css: "css",
+  diff: "diff",
+  docker: "docker",
+  dockerfile: "docker",
+  go: "go",
+  graphql: "graphql",
+  html: "html",
+  java: "java",
+  javascript: "javascript",
+  js: "javascript",
+  jsx: "javascript",
+  json: "json",
+  kotlin: "kotlin",
+  latex: "latex",
+  tex: "latex",
+  lua: "lua",
+  makefile: "makefile",
+  make: "makefile",
+  markdown: "markdown",
+  md: "markdown",
+  mermaid: "mermaid",
+  php: "php",
+  powershell: "powershell",
+  ps1: "powershell",
+  python: "python",
+  py: "python",
+  r: "r",
+  ruby: "ruby",
+  rb: "ruby",
+  rust: "rust",
+  rs: "rust",
+  scala: "scala",
+  scss: "scss",
+  sql: "sql",
+  swift: "swift",
+  typescript: "typescript",
+  ts: "typescript",
+  tsx: "typescript",
+  xml: "xml",
+  yaml: "yaml",
+  yml: "yaml",
+};
+
+/**
+ * Checks whether a URL can be used as a Notion link
+ * @param {string} url - The URL to check
+ * @returns {boolean}
+ */
+function isLinkableUrl(url) {
+  return /^(https?:\/\/|mailto:)/i.test(url);
+}
+
+/**
+ * Builds one or more Notion text objects, splitting content that is too long
+ * @param {string} content - Plain text content
+ * @param {Object} annotations - Notion annotations to apply
+ * @param {string|null} link - Optional link URL
+ * @returns {Array} Array of Notion rich_text objects
+ */
+function textObjects(content, annotations = {}, link = null) {
+  const objects = [];
+  for (let i = 0; i < content.length; i += MAX_TEXT_LENGTH) {
+    const text = { content: content.slice(i, i + MAX_TEXT_LENGTH) };
+    if (link) text.link = { url: link };
+
+    const object = { type: "text", text };
+    if (Object.keys(annotations).length > 0) {
+      object.annotations = { ...annotations };
+    }
+    objects.push(object);
+  }
+  return objects;
+}
+
+// Inline patterns, tried in order at every position
+const INLINE_PATTERNS = [
+  { type: "code", regex: /^`([^`]+)`/ },
+  { type: "image", regex: /^!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/ },
+  { type: "link", regex: /^\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/ },
+  { type: "autolink", regex: /^<((?:https?:\/\/|mailto:)[^>\s]+)>/ },
+  { type: "bold", regex: /^\*\*(?=\S)([\s\S]*?\S)\*\*/ },
+  { type: "bold", regex: /^__(?=\S)([\s\S]*?\S)__(?!\w)/ },
+  { type: "strikethrough", regex: /^~~(?=\S)([\s\S]*?\S)~~/ },
+  { type: "italic", regex: /^\*(?=[^\s*])([\s\S]*?[^\s*])\*/ },
+  { type: "italic", regex: /^_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/ },
+];
+
+/**
+ * Converts inline Markdown into Notion rich_text objects
+ * @param {string} text - The Markdown text to convert
+ * @param {Object} options - Conversion options
+ * @param {Function} [options.resolveLink] - Maps a link URL to a Notion URL, or null to drop the link
+ * @param {Object} annotations - Annotations inherited from enclosing markup
+ * @param {string|null} link - Link inherited from an enclosing link
+ * @returns {Array} Array of Notion rich_text objects
+ */
+function parseInlineMarkdown(text, options = {}, annotations = {}, link = null) {
+  const richText = [];
+  let buffer = "";
+
+  const flush = () => {
+    if (buffer) {
+      richText.push(...textObjects(buffer, annotations, link));
+      buffer = "";
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+
+    // Backslash escapes
+    if (rest[0] === "\\" && /^[\\`*_{}[\]()#+\-.!~|<>]/.test(rest[1] || "")) {
+      buffer += rest[1];
+      i += 2;
+      continue;
+    }
+
+    // Inline markup only starts on one of these characters
+    if (!"`![<*_~".includes(rest[0])) {
+      buffer += rest[0];
+      i++;
+      continue;
+    }
+
+    let matched = false;
+    for (const { type, regex } of INLINE_PATTERNS) {
+      const match = rest.match(regex);
+      if (!match) continue;
+
+      flush();
+      matched = true;
+      i += match[0].length;
+
+      if (type === "code") {
+        richText.push(...textObjects(match[1], { ...annotations, code: true }, link));
+      } else if (type === "image") {
+        // Inline images can't live in rich text; keep them as a link
+        const url = resolveLinkUrl(match[2], options);
+        richText.push(...textObjects(match[1] || match[2], annotations, url || link));
+      } else if (type === "link") {
+        const url = resolveLinkUrl(match[2], options);
+        richText.push(...parseInlineMarkdown(match[1], options, annotations, url || link));
+      } else if (type === "autolink") {
+        richText.push(...textObjects(match[1], annotations, match[1]));
+      } else {
+        richText.push(
+          ...parseInlineMarkdown(match[1], options, { ...annotations, [type]: true }, link)
+        );
+      }
+      break;
+    }
+
+    if (!matched) {
+      buffer += rest[0];
+      i++;
+    }
+  }
+
+  flush();
+  return richText;
+}
+
+/**
+ * Resolves a Markdown link target into a URL Notion will accept
+ * @param {string} url - The raw link target
+ * @param {Object} options - Conversion options
+ * @returns {string|null} The URL to link to, or null to drop the link
+ */
+function resolveLinkUrl(url, options) {
+  if (options.resolveLink) {
+    const resolved = options.resolveLink(url);
+    if (resolved !== undefined) return resolved;
+  }
+  return isLinkableUrl(url) ? url : null;
+}
+
+/**
+ * Builds a block whose content is a rich_text array
+ * @param {string} type - Notion block type
+ * @param {Array} richText - Block text
+ * @param {Object} extra - Additional block-type fields
+ * @returns {Object} Notion block
+ */
+function textBlock(type, richText, extra = {}) {
+  return {
+    type,
+    [type]: {
+      rich_text: richText,
+      ...extra,
+    },
+  };
+}
+
+/**
+ * Measures the indentation of a line, counting tabs as four spaces
+ * @param {string} line - The line to measure
+ * @returns {number}
+ */
+function indentOf(line) {
+  const whitespace = line.match(/^[ \t]*/)[0];
+  return whitespace.replace(/\t/g, "    ").length;
+}
+
+/**
+ * Splits a Markdown table row into its cells
+ * @param {string} line - The table row
+ * @returns {string[]}
+ */
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith("|")) row = row.slice(1);
+  if (row.endsWith("|") && !row.endsWith("\\|")) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, "|"));
+}
+
+const LIST_ITEM = /^([ \t]*)([-*+]|\d+[.)])\s+(.*)$/;
+const TODO_ITEM = /^\[([ xX])\]\s+(.*)$/;
+const FENCE = /^\s*(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const DIVIDER = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const IMAGE_LINE = /^\s*!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)\s*$/;
+const LINK_LINE = /^\s*\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Checks whether a line starts a new block rather than continuing a paragraph
+ * @param {string} line - The line to check
+ * @param {Object} options - Conversion options
+ * @returns {boolean}
+ */
+function startsBlock(line, options) {
+  return (
+    HEADING.test(line.trim()) ||
+    FENCE.test(line) ||
+    DIVIDER.test(line) ||
+    LIST_ITEM.test(line) ||
+    IMAGE_LINE.test(line) ||
+    line.trim().startsWith(">") ||
+    line.trim().startsWith("|") ||
+    Boolean(attachmentBlock(line, options))
+  );
+}
+
+/**
+ * Builds a block for a line holding nothing but a link to an attachment
+ * @param {string} line - The line to check
+ * @param {Object} options - Conversion options
+ * @returns {Object|null} Notion block, or null if the line isn't an attachment
+ */
+function attachmentBlock(line, options) {
+  if (!options.resolveAttachment) return null;
+  const match = line.match(LINK_LINE);
+  if (!match) return null;
+  return options.resolveAttachment(match[2], match[1]) || null;
+}
+
+/**
+ * Builds an image block for a standalone image line
+ * @param {string} alt - Alt text, used as the caption
+ * @param {string} url - Image URL
+ * @param {Object} options - Conversion options
+ * @returns {Object|null} Notion block, or null if the image can't be placed
+ */
+function imageBlock(alt, url, options) {
+  if (options.resolveImage) {
+    const block = options.resolveImage(url, alt);
+    if (block !== undefined) return block;
+  }
+  if (!/^https?:\/\//i.test(url)) return null;
+
+  return {
+    type: "image",
+    image: {
+      type: "external",
+      external: { url },
+      caption: alt ? parseInlineMarkdown(alt, options) : [],
+    },
+  };
+}
+
+/**
+ * Parses a run of list items starting at the given line
+ * @param {string[]} lines - All lines of the document
+ * @param {number} start - Index of the first list item
+ * @param {Object} options - Conversion options
+ * @param {number} depth - Current nesting depth
+ * @returns {{blocks: Array, next: number}} Parsed blocks and the next unread line
+ */
+function parseList(lines, start, options, depth) {
+  const blocks = [];
+  const baseIndent = indentOf(lines[start]);
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (!match || indentOf(lines[i]) < baseIndent) break;
+
+    if (indentOf(lines[i]) > baseIndent) {
+      // Deeper item without a parent at this level; hang it off the last one
+      const nested = parseList(lines, i, options, depth + 1);
+      attachChildren(blocks, nested.blocks, depth);
+      i = nested.next;
+      continue;
+    }
+
+    const [, , marker, text] = match;
+    const todo = text.match(TODO_ITEM);
+    let block;
+    if (todo) {
+      block = textBlock("to_do", parseInlineMarkdown(todo[2], options), {
+        checked: todo[1].toLowerCase() === "x",
+      });
+    } else if (/^\d/.test(marker)) {
+      block = textBlock("numbered_list_item", parseInlineMarkdown(text, options));
+    } else {
+      block = textBlock("bulleted_list_item", parseInlineMarkdown(text, options));
+    }
+    blocks.push(block);
+    i++;
+
+    // Lazy continuation lines belong to the item text
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !startsBlock(lines[i], options) &&
+      indentOf(lines[i]) > baseIndent
+    ) {
+      block[block.type].rich_text.push(
+        ...parseInlineMarkdown("\n" + lines[i].trim(), options)
+      );
+      i++;
+    }
+
+    // Nested items
+    if (i < lines.length && LIST_ITEM.test(lines[i]) && indentOf(lines[i]) > baseIndent) {
+      const nested = parseList(lines, i, options, depth + 1);
+      attachChildren(blocks, nested.blocks, depth);
+      i = nested.next;
+    }
+
+    // A blank line followed by another item at this level keeps the list going
+    if (
+      i + 1 < lines.length &&
+      !lines[i].trim() &&
+      LIST_ITEM.test(lines[i + 1]) &&
+      indentOf(lines[i + 1]) >= baseIndent
+    ) {
+      i++;
+    }
+  }
+
+  return { blocks, next: i };
+}
+
+/**
+ * Nests child blocks under the last block, or flattens them when too deep
+ * @param {Array} blocks - Sibling blocks; the last one becomes the parent
+ * @param {Array} children - Blocks to nest
+ * @param {number} depth - Nesting depth of the siblings
+ */
+function attachChildren(blocks, children, depth) {
+  const parent = blocks[blocks.length - 1];
+  if (!parent || depth >= MAX_NESTING_DEPTH) {
+    blocks.push(...children);
+    return;
+  }
+  const content = parent[parent.type];
+  content.children = (content.children || []).concat(children);
+}
+
+/**
+ * Converts Markdown content into Notion blocks
+ * @param {string} content - The Markdown content
+ * @param {Object} options - Conversion options
+ * @param {Function} [options.resolveLink] - Maps a link URL to a Notion URL, or null to drop the link
+ * @param {Function} [options.resolveImage] - Maps an image URL to a Notion block, or null to drop it
+ * @param {Function} [options.resolveAttachment] - Maps a link alone on its line to a Notion block
+ * @returns {Array} Array of Notion blocks
+ */
+function markdownToNotionBlocks(content, options = {}) {
+  const blocks = [];
+  const lines = content.replace(/\r\n?/g, "\n").split("\n");
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(FENCE);
+    if (fence) {
+      const [, marker, language] = fence;
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(marker)) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // Skip closing fence
+
+      blocks.push({
+        type: "code",
+        code: {
+          rich_text: textObjects(code.join("\n")),
+          language: CODE_LANGUAGES[language.toLowerCase()] || "plain text",
+        },
+      });
+      continue;
+    }
+
+    // Heading
+    const heading = trimmed.match(HEADING);
+    if (heading) {
+      const level = Math.min(heading[1].length, 3);
+      blocks.push(textBlock(`heading_${level}`, parseInlineMarkdown(heading[2], options)));
+      i++;
+      continue;
+    }
+
+    // Horizontal rule
+    if (DIVIDER.test(line)) {
+      blocks.push({ type: "divider", divider: {} });
+      i++;
+      continue;
+    }
+
+    // Block quote
+    if (trimmed.startsWith(">")) {
+      const quote = [];
+      while (i < lines.length && lines[i].trim().startsWith(">")) {
+        quote.push(lines[i].trim().replace(/^>\s?/, ""));
+        i++;
+      }
+      blocks.push(textBlock("quote", parseInlineMarkdown(quote.join("\n"), options)));
+      continue;
+    }
+
+    // Table
+    if (trimmed.startsWith("|") && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1])) {
+      const header = splitTableRow(line);
+      const rows = [header];
+      i += 2;
+      while (i < lines.length && lines[i].trim().startsWith("|")) {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+
+      const width = header.length;
+      blocks.push({
+        type: "table",
+        table: {
+          table_width: width,
+          has_column_header: true,
+          has_row_header: false,
+          children: rows.map((row) => ({
+            type: "table_row",
+            table_row: {
+              cells: Array.from({ length: width }, (_, col) =>
+                parseInlineMarkdown(row[col] || "", options)
+              ),
+            },
+          })),
+        },
+      });
+      continue;
+    }
+
+    // List
+    if (LIST_ITEM.test(line)) {
+      const list = parseList(lines, i, options, 0);
+      blocks.push(...list.blocks);
+      i = list.next;
+      continue;
+    }
+
+    // Standalone image
+    const image = line.match(IMAGE_LINE);
+    if (image) {
+      const block = imageBlock(image[1], image[2], options);
+      if (block) blocks.push(block);
+      i++;
+      continue;
+    }
+
+    // Attachment link on its own line
+    const attachment = attachmentBlock(line, options);
+    if (attachment) {
+      blocks.push(attachment);
+      i++;
+      continue;
+    }
+
+    // Paragraph, running until a blank line or another block
+    const paragraph = [trimmed];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i], options)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push(textBlock("paragraph", parseInlineMarkdown(paragraph.join("\n"), options)));
+  }
+
+  return blocks;
+}
+
+export { markdownToNotionBlocks, parseInlineMarkdown };
@@ -0,0 +1,220 @@
+/**
+ * Shared Notion Client
+ *
+ * Every script talks to Notion through this client. Requests are queued to
+ * stay under Notion's average rate limit of three requests per second,
+ * 429 responses are retried after the Retry-After delay. Server and network
+ * errors are retried with exponential backoff only for requests that can be
+ * sent twice safely: reads, and database queries and searches, which Notion
+ * sends as POST. A page create or block append that timed out may already
+ * have been carried out, so it is only retried on a 429, or a 503 with
+ * Retry-After, which mean Notion didn't process it. With NOTION_LOCAL_DIR
+ * set, or after useBackend, a local backend (lib/local-notion.js) stands in
+ * for Notion.
+ */
+
+import "dotenv/config";
+import { Client } from "@notionhq/client";
+import { createLocalNotion } from "./local-notion.js";
+
+const DEFAULT_OPTIONS = {
+  requestsPerSecond: 3,
+  maxRetries: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  requestTimeoutMs: 60000,
+};
+
+const RETRYABLE_STATUSES = new Set([500, 502, 503, 504]);
+
+// POST endpoints that only read, e.g. /v1/databases/<id>/query
+const READ_ONLY_POST = /\/v1\/(?:databases\/[^/]+\/query|search)(?:\?|$)/;
+
+// Counters shared by every client, reported at the end of a run
+const stats = {
+  requests: 0,
+  retries: 0,
+  rateLimited: 0,
+  serverErrors: 0,
+  networkErrors: 0,
+};
+
+// Earliest time the next request may start; pushed back by 429s
+let nextSlot = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Waits for the next free slot in the request queue
+ * @param {number} intervalMs - Minimum spacing between requests
+ * @returns {Promise<void>}
+ */
+async function waitForSlot(intervalMs) {
+  const now = Date.now();
+  const slot = Math.max(now, nextSlot);
+  nextSlot = slot + intervalMs;
+  if (slot > now) await sleep(slot - now);
+}
+
+/**
+ * Parses a Retry-After header into milliseconds
+ * @param {string|null} header - Header value, in seconds or as an HTTP date
+ * @returns {number|null}
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Computes an exponential backoff delay with jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Client options
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Checks whether a request changes nothing, so it can be sent again after a
+ * failure that may have come after Notion carried it out
+ * @param {string|URL} url - Request URL
+ * @param {string} [method] - HTTP method
+ * @returns {boolean}
+ */
+function isSafeToRepeat(url, method = "GET") {
+  const verb = method.toUpperCase();
+  if (verb === "GET" || verb === "HEAD") return true;
+  return verb === "POST" && READ_ONLY_POST.test(String(url));
+}
+
+/**
+ * Wraps fetch with the shared request queue and retry policy
+ * @param {Object} options - Client options
+ * @param {Function} [fetchImpl] - Underlying fetch implementation
+ * @returns {Function} A fetch-compatible function
+ */
+function createNotionFetch(options = {}, fetchImpl = fetch) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const intervalMs = 1000 / settings.requestsPerSecond;
+
+  return async function notionFetch(url, init = {}) {
+    const repeatable = isSafeToRepeat(url, init.method);
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForSlot(intervalMs);
+      stats.requests++;
+
+      let response;
+      try {
+        response = await fetchImpl(url, {
+          ...init,
+          signal: AbortSignal.timeout(settings.requestTimeoutMs),
+        });
+      } catch (error) {
+        stats.networkErrors++;
+        if (!repeatable || attempt >= settings.maxRetries) throw error;
+
+        const delay = backoffDelay(attempt, settings);
+        console.warn(`Notion request failed (${error.message}); retrying in ${Math.round(delay)} ms`);
+        stats.retries++;
+        await sleep(delay);
+        continue;
+      }
+
+      if (response.status === 429) {
+        stats.rateLimited++;
+        if (attempt >= settings.maxRetries) return response;
+
+        const delay =
+          parseRetryAfter(response.headers.get("retry-after")) ?? backoffDelay(attempt, settings);
+        // Hold back every queued request, not just this one
+        nextSlot = Math.max(nextSlot, Date.now() + delay);
+        stats.retries++;
+        continue;
+      }
+
+      if (RETRYABLE_STATUSES.has(response.status)) {
+        stats.serverErrors++;
+        // A 503 with Retry-After was turned away unprocessed; other errors may not have been
+        const retryAfter =
+          response.status === 503 ? parseRetryAfter(response.headers.get("retry-after")) : null;
+        if (!(repeatable || retryAfter !== null) || attempt >= settings.maxRetries) return response;
+
+        const delay = retryAfter ?? backoffDelay(attempt, settings);
+        console.warn(`Notion returned ${response.status}; retrying in ${Math.round(delay)} ms`);
+        stats.retries++;
+        await sleep(delay);
+        continue;
+      }
+
+      return response;
+    }
+  };
+}
+
+/**
+ * Creates a Notion client that uses the shared queue and retry policy
+ * @param {Object} options - Client options
+ * @param {string} [options.auth] - Notion integration token
+ * @returns {Client}
+ */
+function createNotionClient(options = {}) {
+  const { auth = process.env.NOTION_TOKEN, ...fetchOptions } = options;
+  return new Client({
+    auth,
+    fetch: createNotionFetch(fetchOptions),
+    // Retries can outlast the client's own timeout; each attempt has its own
+    timeoutMs: 24 * 60 * 60 * 1000,
+  });
+}
+
+/**
+ * Gets the request counters for this run
+ * @returns {Object}
+ */
+function getRequestStats() {
+  return { ...stats };
+}
+
+/**
+ * Prints the request counters for this run
+ */
+function logRequestStats() {
+  console.log(
+    `Notion requests: ${stats.requests} (retries: ${stats.retries}, ` +
+      `rate limited: ${stats.rateLimited}, server errors: ${stats.serverErrors}, ` +
+      `network errors: ${stats.networkErrors})`
+  );
+}
+
+// The client shared by all scripts
+let notion = process.env.NOTION_LOCAL_DIR
+  ? createLocalNotion({ dir: process.env.NOTION_LOCAL_DIR })
+  : createNotionClient();
+
+/**
+ * Replaces the client shared by all scripts, e.g. with a local backend
+ * @param {Object} backend - Anything with the Notion client methods the scripts use
+ */
+function useBackend(backend) {
+  notion = backend;
+}
+
+// Fetch with the same queue and retries, for endpoints the client can't call
+const notionFetch = createNotionFetch();
+
+export {
+  notion,
+  notionFetch,
+  createNotionClient,
+  createNotionFetch,
+  getRequestStats,
+  logRequestStats,
+  useBackend,
+};
@@ -0,0 +1,131 @@
+/**
+ * Existing Page Index
+ *
+ * Indexes the pages already in a Notion database by normalized URL, so an
+ * import can tell when a note is already there before creating a page for
+ * it. Titles are only matched when asked for: different notes often share
+ * a title like "Meeting notes", while a bookmark's title usually names the
+ * page it points at.
+ */
+
+import { canonicalUrl } from "./urls.js";
+
+// What to do with a note that matches an existing page
+const DUPLICATE_POLICIES = ["skip", "update", "create"];
+
+/**
+ * Reads the plain text of a title or rich_text property value
+ * @param {Object} value - Property value, from Notion or built for a new page
+ * @returns {string}
+ */
+function propertyText(value) {
+  const richText = value?.title ?? value?.rich_text ?? [];
+  return richText.map((text) => text.plain_text ?? text.text?.content ?? "").join("");
+}
+
+/**
+ * Normalizes a title for comparison
+ * @param {string} title - The title
+ * @returns {string}
+ */
+function titleKey(title) {
+  return title.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Builds the key a URL is matched by. Only known tracking parameters are
+ * ignored: a parameter like ?tid=1 often picks a different page, and a wrong
+ * match here means a note is skipped without being imported.
+ * @param {string} url - The URL
+ * @returns {string}
+ */
+function urlKey(url) {
+  return canonicalUrl(url, { removeLikelyTracking: false });
+}
+
+class PageIndex {
+  constructor(titleProperty, urlProperties, matchTitles = false) {
+    this.titleProperty = titleProperty; // Name of the title property
+    this.urlProperties = urlProperties; // Names of the url properties
+    this.matchTitles = matchTitles; // Also match pages by title alone
+    this.byUrl = new Map(); // URL key => page
+    this.byTitle = new Map(); // Title key => page
+    this.count = 0; // Pages indexed
+  }
+
+  /**
+   * Adds a page to the index; earlier pages win when keys collide
+   * @param {string} pageId - Notion page ID
+   * @param {Object} properties - The page's properties
+   * @param {Object} [options] - Indexing options
+   * @param {boolean} [options.byTitle] - Index the title too; off for pages created by
+   *   the import itself, whose notes were already told apart from each other
+   */
+  add(pageId, properties, { byTitle = true } = {}) {
+    const page = { id: pageId, title: propertyText(properties[this.titleProperty]) };
+    this.count++;
+
+    for (const name of this.urlProperties) {
+      const url = properties[name]?.url;
+      if (!url) continue;
+      const key = urlKey(url);
+      if (!this.byUrl.has(key)) this.byUrl.set(key, page);
+    }
+
+    const key = titleKey(page.title);
+    if (byTitle && key && !this.byTitle.has(key)) this.byTitle.set(key, page);
+  }
+
+  /**
+   * Finds an existing page with the same URL or, with matchTitles, the same title
+   * @param {Object} properties - Properties of the page about to be created
+   * @returns {{page: {id: string, title: string}, by: string, key: string}|null}
+   */
+  match(properties) {
+    for (const name of this.urlProperties) {
+      const url = properties[name]?.url;
+      if (!url) continue;
+      const key = urlKey(url);
+      if (this.byUrl.has(key)) return { page: this.byUrl.get(key), by: "URL", key };
+    }
+
+    if (!this.matchTitles) return null;
+    const key = titleKey(propertyText(properties[this.titleProperty]));
+    if (key && this.byTitle.has(key)) return { page: this.byTitle.get(key), by: "title", key };
+    return null;
+  }
+}
+
+/**
+ * Loads every page in a database into an index
+ * @param {Client} notion - Notion client
+ * @param {string} databaseId - Notion database ID
+ * @param {Object} mapping - Validated mapping, naming the title and url properties
+ * @param {boolean} [matchTitles] - Also match pages by title alone
+ * @returns {Promise<PageIndex>}
+ */
+async function loadPageIndex(notion, databaseId, mapping, matchTitles = false) {
+  const properties = Object.entries(mapping.properties);
+  const index = new PageIndex(
+    properties.find(([, spec]) => spec.type === "title")[0],
+    properties.filter(([, spec]) => spec.type === "url").map(([name]) => name),
+    matchTitles
+  );
+
+  let startCursor = undefined;
+  do {
+    const response = await notion.databases.query({
+      database_id: databaseId,
+      start_cursor: startCursor,
+      page_size: 100,
+    });
+    for (const page of response.results) {
+      if (!page.archived) index.add(page.id, page.properties);
+    }
+    startCursor = response.has_more ? response.next_cursor : undefined;
+  } while (startCursor);
+
+  return index;
+}
+
+export { DUPLICATE_POLICIES, loadPageIndex };
@@ -0,0 +1,50 @@
+/**
+ * Notion Page Helpers
+ *
+ * Creates pages whose content may exceed the per-request block limit.
+ */
+
+// Notion accepts at most this many children per request
+const MAX_BLOCKS_PER_REQUEST = 100;
+
+/**
+ * Appends blocks to a page or block, in chunks Notion will accept
+ * @param {Client} notion - Notion client
+ * @param {string} blockId - Page or block ID to append to
+ * @param {Array} blocks - Blocks to append
+ * @param {Object} [options] - Append options
+ * @param {number} [options.startChunk] - Chunks already appended by an earlier attempt, to skip
+ * @param {Function} [options.onChunk] - Called with the number of chunks appended so far
+ *   after each one succeeds, so an interrupted append can be resumed
+ * @returns {Promise<void>}
+ */
+async function appendBlocks(notion, blockId, blocks, { startChunk = 0, onChunk } = {}) {
+  let chunk = startChunk;
+  for (let i = chunk * MAX_BLOCKS_PER_REQUEST; i < blocks.length; i += MAX_BLOCKS_PER_REQUEST) {
+    await notion.blocks.children.append({
+      block_id: blockId,
+      children: blocks.slice(i, i + MAX_BLOCKS_PER_REQUEST),
+    });
+    chunk++;
+    if (onChunk) await onChunk(chunk);
+  }
+}
+
+/**
+ * Creates a page with content, appending blocks beyond the first request
+ * @param {Client} notion - Notion client
+ * @param {Object} page - Arguments for pages.create, without children
+ * @param {Array} blocks - Page content
+ * @returns {Promise<Object>} The created page
+ */
+async function createPageWithBlocks(notion, page, blocks = []) {
+  const response = await notion.pages.create({
+    ...page,
+    children: blocks.slice(0, MAX_BLOCKS_PER_REQUEST),
+  });
+
+  await appendBlocks(notion, response.id, blocks.slice(MAX_BLOCKS_PER_REQUEST));
+  return response;
+}
+
+export { appendBlocks, createPageWithBlocks };
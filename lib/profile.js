@@ -0,0 +1,149 @@
+/**
+ * Joplin Profile Import
+ *
+ * Reads notes straight from a Joplin profile's `database.sqlite`, with the
+ * notebooks, tags and resources Joplin keeps alongside them, so a whole
+ * profile can be migrated without exporting it first. This keeps fields the
+ * Markdown export drops, like `source_url`, `author` and to-do state. The
+ * resource files are read from the profile's `resources` folder, and named
+ * and typed from the `resources` table.
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import initSqlJs from "sql.js";
+import { runImport } from "./importer.js";
+import { rebuildNotes, toImportNotes, toResource } from "./items.js";
+
+const DEFAULT_MANIFEST_FILE = "profile-manifest.json";
+const DEFAULT_MAPPING_FILE = fileURLToPath(new URL("../mappings/notes.yaml", import.meta.url));
+
+const DATABASE_FILE = "database.sqlite";
+
+/**
+ * Runs a query and returns its rows as objects
+ * @param {Object} db - sql.js database
+ * @param {string} sql - The query
+ * @returns {Object[]}
+ */
+function queryAll(db, sql) {
+  const statement = db.prepare(sql);
+  const rows = [];
+  try {
+    while (statement.step()) rows.push(statement.getAsObject());
+  } finally {
+    statement.free();
+  }
+  return rows;
+}
+
+/**
+ * Checks whether an item was moved to the trash (Joplin 2.14 and later)
+ * @param {Object} row - Note or folder row
+ * @returns {boolean}
+ */
+function isDeleted(row) {
+  return Number(row.deleted_time) > 0;
+}
+
+/**
+ * Finds the profile database, given the file or the profile folder
+ * @param {string} profile - Path to database.sqlite or the folder holding it
+ * @returns {Promise<string>}
+ */
+async function findDatabaseFile(profile) {
+  const stat = await fs.stat(profile);
+  return stat.isDirectory() ? path.join(profile, DATABASE_FILE) : profile;
+}
+
+/**
+ * Reads the notes in a Joplin profile database
+ * @param {string} databaseFile - The profile's database.sqlite
+ * @returns {Promise<{notes: Object[], resources: Map<string, Object>, skipped: number}>} Notes
+ *   with their notebooks and tags, and the resources by ID
+ */
+async function readJoplinProfile(databaseFile) {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(await fs.readFile(databaseFile));
+
+  try {
+    let skipped = 0;
+    const notes = [];
+    for (const row of queryAll(db, "SELECT * FROM notes")) {
+      if (row.is_conflict || row.encryption_applied || isDeleted(row)) {
+        skipped++;
+        continue;
+      }
+      const { title, body, ...props } = row;
+      notes.push({
+        title: title ?? "",
+        body: body ?? "",
+        props,
+        hash: crypto.createHash("sha256").update(JSON.stringify(row)).digest("hex"),
+      });
+    }
+
+    const folders = new Map(
+      queryAll(db, "SELECT * FROM folders")
+        .filter((row) => !isDeleted(row))
+        .map((row) => [row.id, { title: row.title, parentId: row.parent_id }])
+    );
+    const tags = new Map(queryAll(db, "SELECT id, title FROM tags").map((row) => [row.id, row.title]));
+    const noteTags = queryAll(db, "SELECT note_id, tag_id FROM note_tags").map((row) => ({
+      noteId: row.note_id,
+      tagId: row.tag_id,
+    }));
+
+    const resources = new Map(
+      queryAll(db, "SELECT * FROM resources").map((row) => [row.id, toResource(row.title, row)])
+    );
+
+    return { notes: rebuildNotes({ notes, folders, tags, noteTags }), resources, skipped };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Imports the notes in a Joplin profile into Notion
+ * @param {Object} options - Import options
+ * @param {string} options.profile - Joplin profile folder, or its database.sqlite
+ * @param {string} [options.databaseId] - Notion database to import into
+ * @param {string} [options.parentPageId] - Page to mirror the notebooks under, instead of a database
+ * @param {string} [options.manifestFile] - Where to record imported notes
+ * @param {string} [options.mappingFile] - Front matter to property mapping
+ * @param {boolean} [options.dryRun] - Parse and convert without writing to Notion
+ * @param {boolean} [options.verbose] - Log every note
+ * @returns {Promise<void>}
+ */
+async function importProfile(options) {
+  const {
+    profile,
+    manifestFile = DEFAULT_MANIFEST_FILE,
+    mappingFile = DEFAULT_MAPPING_FILE,
+  } = options;
+
+  const databaseFile = await findDatabaseFile(profile);
+  const profileDir = path.dirname(databaseFile);
+
+  const { notes, resources, skipped } = await readJoplinProfile(databaseFile);
+  console.log(`Read ${notes.length} notes from ${databaseFile}`);
+  if (skipped > 0) {
+    console.log(`Skipped ${skipped} encrypted, conflicting or deleted notes`);
+  }
+
+  await runImport({
+    ...options,
+    manifestFile,
+    mappingFile,
+    notes: toImportNotes(notes, {
+      noteDir: profileDir,
+      resourcesDir: path.join(profileDir, "resources"),
+      resources,
+    }),
+  });
+}
+
+export { importProfile, readJoplinProfile };
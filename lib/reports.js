@@ -0,0 +1,174 @@
+/**
+ * Duplicate Reports
+ *
+ * Writes the groups found by the duplicate scripts to a file, for diffing
+ * between runs, loading into a spreadsheet or checking on a schedule:
+ * - json: the whole report, one object per group
+ * - csv: one row per page, with the group it belongs to
+ * - md: one table per group
+ * Groups from dedupe-many are clusters that can mix reasons, e.g. a page with
+ * the same title as one page and the same URL as another; their `links`
+ * record which pages each reason links.
+ * The format follows the file extension unless given explicitly.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+const REPORT_FORMATS = ["json", "csv", "md"];
+
+// Exit status when duplicates are found; 1 is a failure and 2 a usage error
+const DUPLICATES_FOUND_EXIT_CODE = 3;
+
+const CSV_COLUMNS = [
+  ["group", (group, page, index) => index + 1],
+  ["reason", (group) => group.reason],
+  ["match", (group) => group.match],
+  ["score", (group) => (group.score === undefined ? "" : group.score.toFixed(2))],
+  ["database", (group, page) => page.databaseTitle],
+  ["database_id", (group, page) => page.databaseId],
+  ["page_id", (group, page) => page.id],
+  ["title", (group, page) => page.title],
+  ["page_url", (group, page) => page.pageUrl],
+  ["url", (group, page) => page.url],
+  ["normalized_url", (group, page) => page.normalizedUrl],
+  ["linked_by", (group, page) => pageLinks(group, page).map(describeLink).join("; ")],
+];
+
+/**
+ * Describes what links pages in a group
+ * @param {{reason: string, match: string}} link - A link from a group's links
+ * @returns {string}
+ */
+function describeLink(link) {
+  return `${link.reason}: ${link.match}`;
+}
+
+/**
+ * Finds the links a page is part of
+ * @param {Object} group - A duplicate group
+ * @param {Object} page - A page in the group
+ * @returns {Object[]}
+ */
+function pageLinks(group, page) {
+  return (group.links ?? []).filter((link) => link.pageIds.includes(page.id));
+}
+
+/**
+ * Quotes a CSV field when it needs it
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escapes text for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function markdownCell(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return text.replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+/**
+ * Formats a report as CSV
+ * @param {Object} report - The report
+ * @returns {string}
+ */
+function toCsv(report) {
+  const rows = [CSV_COLUMNS.map(([name]) => name).join(",")];
+  report.groups.forEach((group, index) => {
+    for (const page of group.pages) {
+      rows.push(CSV_COLUMNS.map(([, value]) => csvField(value(group, page, index))).join(","));
+    }
+  });
+  return `${rows.join("\n")}\n`;
+}
+
+/**
+ * Formats a report as Markdown
+ * @param {Object} report - The report
+ * @returns {string}
+ */
+function toMarkdown(report) {
+  const lines = [
+    "# Duplicate Report",
+    "",
+    `Generated ${report.generatedAt} for ${report.databases.map((db) => db.title).join(", ")}.`,
+    "",
+    `${report.groups.length} groups found.`,
+  ];
+
+  report.groups.forEach((group, index) => {
+    const score = group.score === undefined ? "" : ` (score ${group.score.toFixed(2)})`;
+    lines.push(
+      "",
+      `## ${index + 1}. Same ${group.reason}${score}: ${markdownCell(group.match)}`,
+      "",
+      "| Database | Title | Page | URL |",
+      "| --- | --- | --- | --- |",
+      ...group.pages.map(
+        (page) =>
+          `| ${markdownCell(page.databaseTitle)} | ${markdownCell(page.title)} | ${page.pageUrl} | ${markdownCell(page.url)} |`
+      )
+    );
+
+    if (group.links?.length > 1) {
+      lines.push("", "Linked by:", "");
+      for (const link of group.links) {
+        const titles = group.pages
+          .filter((page) => link.pageIds.includes(page.id))
+          .map((page) => markdownCell(page.title));
+        lines.push(`- Same ${markdownCell(describeLink(link))} (${titles.join(", ")})`);
+      }
+    }
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Works out a report's format, so an unusable one is caught before any work
+ * @param {string} filePath - Where the report will be written
+ * @param {string} [format] - json, csv or md; defaults to the file extension
+ * @returns {string} The format
+ */
+function reportFormatFor(filePath, format) {
+  const reportFormat = format || path.extname(filePath).slice(1).toLowerCase().replace(/^markdown$/, "md");
+  if (!REPORT_FORMATS.includes(reportFormat)) {
+    throw new Error(
+      `Unknown report format ${reportFormat || `for ${filePath}`}; use ${REPORT_FORMATS.join(", ")}`
+    );
+  }
+  return reportFormat;
+}
+
+/**
+ * Writes a duplicate report
+ * @param {string} filePath - Where to write it
+ * @param {Object} report - The report
+ * @param {Array<{id: string, title: string}>} report.databases - Databases checked
+ * @param {Object[]} report.groups - Groups of {reason, match, score?, links?, pages}
+ * @param {string} [format] - json, csv or md; defaults to the file extension
+ * @returns {Promise<void>}
+ */
+async function writeReport(filePath, report, format) {
+  const reportFormat = reportFormatFor(filePath, format);
+
+  const fullReport = { generatedAt: new Date().toISOString(), ...report };
+  const content =
+    reportFormat === "json"
+      ? `${JSON.stringify(fullReport, null, 2)}\n`
+      : reportFormat === "csv"
+        ? toCsv(fullReport)
+        : toMarkdown(fullReport);
+
+  await fs.writeFile(filePath, content);
+  console.log(`\nReport written to ${filePath}`);
+}
+
+export { DUPLICATES_FOUND_EXIT_CODE, REPORT_FORMATS, reportFormatFor, writeReport };
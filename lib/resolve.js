@@ -0,0 +1,278 @@
+/**
+ * Duplicate Resolution
+ *
+ * Cleans up groups of duplicate pages: one page in each group survives, the
+ * others' tags and any properties the survivor is missing are merged into it,
+ * and the others are archived. A page whose URL isn't one of the survivor's
+ * is never archived, since merging only fills the survivor's empty
+ * properties and its URL would be lost. Which page survives depends on a rule:
+ * - oldest: the page created first
+ * - most-filled: the page with the most non-empty properties
+ * - database: the page in the database listed first, e.g. on the command line
+ * Ties go to the oldest page.
+ */
+
+import { notion } from "./notion.js";
+import { canonicalUrl } from "./urls.js";
+
+const SURVIVOR_RULES = ["oldest", "most-filled", "database"];
+
+// Property types that can be copied from one page to another
+const MERGEABLE_TYPES = new Set([
+  "title",
+  "rich_text",
+  "url",
+  "email",
+  "phone_number",
+  "number",
+  "select",
+  "status",
+  "multi_select",
+  "date",
+  "checkbox",
+]);
+
+/**
+ * Checks whether a property value is empty
+ * @param {Object} property - Property value from Notion
+ * @returns {boolean}
+ */
+function isEmptyProperty(property) {
+  const value = property[property.type];
+  if (value === null || value === undefined || value === false) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === "string") return value.trim() === "";
+  return false;
+}
+
+/**
+ * Counts a page's non-empty properties
+ * @param {Object} page - Page from Notion
+ * @returns {number}
+ */
+function filledCount(page) {
+  return Object.values(page.properties).filter((property) => !isEmptyProperty(property)).length;
+}
+
+/**
+ * Orders a group so the survivor comes first
+ * @param {Object[]} pages - Pages from Notion
+ * @param {string} rule - One of SURVIVOR_RULES
+ * @param {string[]} databasePriority - Database IDs, most preferred first
+ * @returns {Object[]}
+ */
+function rankPages(pages, rule, databasePriority = []) {
+  const priority = databasePriority.map((id) => id.replace(/-/g, ""));
+  const databaseRank = (page) => {
+    const rank = priority.indexOf((page.parent?.database_id ?? "").replace(/-/g, ""));
+    return rank === -1 ? priority.length : rank;
+  };
+  const byAge = (a, b) => a.created_time.localeCompare(b.created_time);
+
+  return [...pages].sort((a, b) => {
+    if (rule === "most-filled") return filledCount(b) - filledCount(a) || byAge(a, b);
+    if (rule === "database") return databaseRank(a) - databaseRank(b) || byAge(a, b);
+    return byAge(a, b);
+  });
+}
+
+/**
+ * Converts a property value read from Notion into one pages.update accepts
+ * @param {Object} property - Property value from Notion
+ * @returns {Object}
+ */
+function toWritable(property) {
+  const value = property[property.type];
+  switch (property.type) {
+    case "title":
+    case "rich_text":
+      return {
+        [property.type]: value.map((text) => ({
+          text: {
+            content: text.plain_text,
+            link: text.type === "text" ? text.text.link : null,
+          },
+          annotations: text.annotations,
+        })),
+      };
+    case "select":
+    case "status":
+      return { [property.type]: value && { name: value.name } };
+    case "multi_select":
+      return { multi_select: value.map((option) => ({ name: option.name })) };
+    case "date":
+      return { date: value && { start: value.start, end: value.end, time_zone: value.time_zone } };
+    default:
+      return { [property.type]: value };
+  }
+}
+
+/**
+ * Works out what the survivor gains from the rest of its group
+ * @param {Object} survivor - The page that is kept
+ * @param {Object[]} others - The pages to be archived, most preferred first
+ * @returns {Object} Properties to update on the survivor, by name
+ */
+function mergeProperties(survivor, others) {
+  const updates = {};
+
+  for (const [name, property] of Object.entries(survivor.properties)) {
+    if (!MERGEABLE_TYPES.has(property.type)) continue;
+    const matching = others
+      .map((page) => page.properties[name])
+      .filter((other) => other?.type === property.type && !isEmptyProperty(other));
+
+    if (property.type === "multi_select") {
+      // Union of every page's options, the survivor's first
+      const names = new Map(property.multi_select.map((option) => [option.name.toLowerCase(), option.name]));
+      for (const other of matching) {
+        for (const option of other.multi_select) {
+          if (!names.has(option.name.toLowerCase())) names.set(option.name.toLowerCase(), option.name);
+        }
+      }
+      if (names.size > property.multi_select.length) {
+        updates[name] = { multi_select: Array.from(names.values(), (option) => ({ name: option })) };
+      }
+    } else if (isEmptyProperty(property) && matching.length > 0) {
+      updates[name] = toWritable(matching[0]);
+    }
+  }
+
+  return updates;
+}
+
+/**
+ * Describes a property value in one line, for the dry run
+ * @param {Object} update - A property value for pages.update
+ * @returns {string}
+ */
+function describeUpdate(update) {
+  const [type, value] = Object.entries(update)[0];
+  if (type === "title" || type === "rich_text") return value.map((text) => text.text.content).join("");
+  if (type === "multi_select") return value.map((option) => option.name).join(", ");
+  if (type === "select" || type === "status") return value.name;
+  if (type === "date") return value.end ? `${value.start} → ${value.end}` : value.start;
+  return String(value);
+}
+
+/**
+ * Gets the keys of a page's URLs
+ * @param {Object} page - Page from Notion
+ * @param {Function} urlKey - Turns a URL into the key it's compared by
+ * @returns {Set<string>}
+ */
+function urlKeys(page, urlKey) {
+  return new Set(
+    Object.values(page.properties)
+      .filter((property) => property.type === "url" && property.url)
+      .map((property) => urlKey(property.url))
+  );
+}
+
+/**
+ * Gets a page's title
+ * @param {Object} page - Page from Notion
+ * @returns {string}
+ */
+function pageTitle(page) {
+  const title = Object.values(page.properties).find((property) => property.type === "title");
+  return title?.title.map((text) => text.plain_text).join("") || "Untitled";
+}
+
+/**
+ * Keeps one page of each duplicate group, merging the others into it and
+ * archiving them
+ * @param {Array<Object[]>} groups - Groups of duplicate pages from Notion
+ * @param {Object} options - Resolution options
+ * @param {string} [options.keep] - Survivor rule: oldest, most-filled or database
+ * @param {string[]} [options.databasePriority] - Database IDs for the database rule, most preferred first
+ * @param {Object} [options.urlRules] - Equivalence rules for canonicalUrl, as used to group the pages
+ * @param {boolean} [options.dryRun] - Show what would change without writing to Notion
+ * @param {boolean} [options.verbose] - Describe every group, not just the totals
+ * @returns {Promise<{merged: number, archived: number, kept: number, failed: number, archivedPages: Object[]}>}
+ */
+async function resolveDuplicates(groups, options = {}) {
+  const {
+    keep = "oldest",
+    databasePriority = [],
+    urlRules = {},
+    dryRun = true,
+    verbose = true,
+  } = options;
+  if (!SURVIVOR_RULES.includes(keep)) {
+    throw new Error(`Unknown survivor rule ${keep}; use ${SURVIVOR_RULES.join(", ")}`);
+  }
+
+  // URLs only count as the same here when they are without guessing which
+  // parameters are tracking, so this check is never looser than the grouping
+  const urlKey = (url) => canonicalUrl(url, { ...urlRules, removeLikelyTracking: false });
+
+  const archivedPages = new Set(); // A page can turn up in a title group and a URL group
+  const stats = { merged: 0, archived: 0, kept: 0, failed: 0, archivedPages: [] };
+
+  console.log(`\n=== Resolving duplicates (keeping the ${keep} page) ===`);
+
+  for (const group of groups) {
+    const pages = group.filter((page) => !archivedPages.has(page.id));
+    if (pages.length < 2) continue;
+
+    const [survivor, ...rest] = rankPages(pages, keep, databasePriority);
+
+    // Pages pointing somewhere else aren't duplicates of the survivor's URL
+    const survivorUrls = urlKeys(survivor, urlKey);
+    const differentUrl = (page) => [...urlKeys(page, urlKey)].some((key) => !survivorUrls.has(key));
+    const others = rest.filter((page) => !differentUrl(page));
+    const left = rest.filter(differentUrl);
+    stats.kept += left.length;
+
+    if (verbose || dryRun) {
+      console.log(`\nKeep: "${pageTitle(survivor)}" ${survivor.url}`);
+      left.forEach((page) => console.log(`  Leave: "${pageTitle(page)}" ${page.url} (different URL)`));
+    }
+    if (others.length === 0) continue;
+
+    const updates = mergeProperties(survivor, others);
+    if (verbose || dryRun) {
+      Object.entries(updates).forEach(([name, update]) => {
+        console.log(`  Set ${name}: ${describeUpdate(update)}`);
+      });
+      others.forEach((page) => console.log(`  Archive: "${pageTitle(page)}" ${page.url}`));
+    }
+
+    if (dryRun) {
+      others.forEach((page) => archivedPages.add(page.id));
+      stats.merged++;
+      stats.archived += others.length;
+      continue;
+    }
+
+    try {
+      // Merge first, so nothing is lost if archiving fails part way
+      if (Object.keys(updates).length > 0) {
+        await notion.pages.update({ page_id: survivor.id, properties: updates });
+      }
+      for (const page of others) {
+        await notion.pages.update({ page_id: page.id, archived: true });
+        archivedPages.add(page.id);
+        stats.archivedPages.push(page);
+        stats.archived++;
+      }
+      stats.merged++;
+    } catch (error) {
+      console.error(`Failed to resolve duplicates of ${survivor.url}:`, error.message);
+      stats.failed++;
+    }
+  }
+
+  console.log(
+    `\n${dryRun ? "Would merge" : "Merged"} ${stats.merged} groups, ` +
+      `${dryRun ? "archiving" : "archived"} ${stats.archived} pages` +
+      (stats.kept > 0 ? `; left ${stats.kept} pages with a different URL` : "") +
+      (stats.failed > 0 ? `; ${stats.failed} groups failed` : "")
+  );
+  if (dryRun) console.log("⚠️  This was a dry run. Run with --apply to make these changes.");
+
+  return stats;
+}
+
+export { SURVIVOR_RULES, resolveDuplicates };
@@ -0,0 +1,319 @@
+/**
+ * Joplin Resource Uploader
+ *
+ * Finds the images and attachments a note references, either as Joplin
+ * resource links (:/<resourceId>) or as paths into the export's _resources
+ * folder, and uploads them through Notion's file upload API. Links to other
+ * notes use the same :/<id> form; a non-image :/<id> that isn't in
+ * _resources is left for the note link resolver. When the resource records
+ * are known (JEX archives and profile databases), uploads keep the
+ * resource's title and type, and a resource whose file is missing is
+ * reported rather than mistaken for a note link.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { notionFetch } from "./notion.js";
+
+const NOTION_API_URL = "https://api.notion.com/v1";
+const NOTION_VERSION = "2022-06-28";
+
+// Notion's single-part upload limit
+const MAX_UPLOAD_SIZE = 20 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".bmp": "image/bmp",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff",
+  ".heic": "image/heic",
+  ".ico": "image/vnd.microsoft.icon",
+  ".pdf": "application/pdf",
+  ".txt": "text/plain",
+  ".md": "text/markdown",
+  ".csv": "text/csv",
+  ".json": "application/json",
+  ".zip": "application/zip",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".m4a": "audio/mp4",
+  ".mp4": "video/mp4",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".ppt": "application/vnd.ms-powerpoint",
+  ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+};
+
+const JOPLIN_RESOURCE = /^:\/([a-f0-9]{32})$/i;
+const MARKDOWN_LINK = /!?\[[^\]]*\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+
+/**
+ * Checks whether a link target points at a Joplin resource
+ * @param {string} url - The link target
+ * @returns {boolean}
+ */
+function isResourceReference(url) {
+  return JOPLIN_RESOURCE.test(url) || safeDecode(url).split("/").includes("_resources");
+}
+
+/**
+ * Decodes a percent-encoded path, leaving malformed input as is
+ * @param {string} url - The path to decode
+ * @returns {string}
+ */
+function safeDecode(url) {
+  try {
+    return decodeURIComponent(url);
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Lists the distinct resources referenced by a note's Markdown
+ * @param {string} content - The Markdown content
+ * @returns {Map<string, boolean>} Resource link targets, mapped to whether any is an image
+ */
+function findResourceReferences(content) {
+  const references = new Map();
+  for (const match of content.matchAll(MARKDOWN_LINK)) {
+    if (isResourceReference(match[1])) {
+      const isImage = match[0].startsWith("!");
+      references.set(match[1], references.get(match[1]) || isImage);
+    }
+  }
+  return references;
+}
+
+/**
+ * Finds the nearest _resources folder at or above a directory
+ * @param {string} dir - Directory to start from
+ * @returns {Promise<string|null>}
+ */
+async function findResourcesDir(dir) {
+  let current = path.resolve(dir);
+  while (true) {
+    const candidate = path.join(current, "_resources");
+    try {
+      if ((await fs.stat(candidate)).isDirectory()) return candidate;
+    } catch (error) {
+      // Keep looking further up
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Resolves a resource reference to a file on disk
+ * @param {string} reference - The link target
+ * @param {string} noteDir - Directory of the note that references it
+ * @param {string|null} resourcesDir - The export's _resources folder
+ * @returns {Promise<string|null>} File path, or null if it can't be found
+ */
+async function locateResource(reference, noteDir, resourcesDir) {
+  const idMatch = reference.match(JOPLIN_RESOURCE);
+  if (idMatch) {
+    if (!resourcesDir) return null;
+    let files;
+    try {
+      files = await fs.readdir(resourcesDir);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+    const file = files.find((name) => path.parse(name).name === idMatch[1]);
+    return file ? path.join(resourcesDir, file) : null;
+  }
+
+  const relative = safeDecode(reference);
+  const candidates = [path.resolve(noteDir, relative)];
+  if (resourcesDir) candidates.push(path.join(resourcesDir, path.basename(relative)));
+
+  for (const candidate of candidates) {
+    try {
+      if ((await fs.stat(candidate)).isFile()) return candidate;
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Guesses a file's content type from its extension
+ * @param {string} filePath - The file path
+ * @returns {string}
+ */
+function contentTypeOf(filePath) {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+}
+
+/**
+ * Uploads a file through Notion's file upload API
+ * @param {Client} notion - Notion client
+ * @param {string} filePath - File to upload
+ * @param {Object} options - Upload options
+ * @param {string} options.token - Notion integration token
+ * @param {string} [options.filename] - Name to upload it as (default: the file's name)
+ * @param {string} [options.contentType] - Its type (default: guessed from the extension)
+ * @returns {Promise<string>} The file upload ID
+ */
+async function uploadFile(notion, filePath, options) {
+  const { token, filename = path.basename(filePath), contentType = contentTypeOf(filePath) } = options;
+  const data = await fs.readFile(filePath);
+
+  if (data.length > MAX_UPLOAD_SIZE) {
+    throw new Error(`${filename} is larger than ${MAX_UPLOAD_SIZE / 1024 / 1024} MB`);
+  }
+
+  const upload = await notion.request({
+    path: "file_uploads",
+    method: "post",
+    body: { filename, content_type: contentType },
+  });
+
+  const file = new Blob([data], { type: contentType });
+
+  // The local backend, like newer clients, sends the file itself
+  if (notion.fileUploads?.send) {
+    await notion.fileUploads.send({ file_upload_id: upload.id, file: { filename, data: file } });
+    return upload.id;
+  }
+
+  // The send step is multipart, which the client's request() doesn't support
+  const form = new FormData();
+  form.append("file", file, filename);
+
+  const response = await notionFetch(`${NOTION_API_URL}/file_uploads/${upload.id}/send`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Notion-Version": NOTION_VERSION,
+    },
+    body: form,
+  });
+
+  if (!response.ok) {
+    throw new Error(`Uploading ${filename} failed: ${response.status} ${await response.text()}`);
+  }
+
+  return upload.id;
+}
+
+/**
+ * Builds the Notion block for an uploaded resource
+ * @param {Object} resource - Uploaded resource
+ * @param {string} caption - Caption text
+ * @returns {Object} Notion image or file block
+ */
+function resourceBlock(resource, caption) {
+  const captionText = caption ? [{ type: "text", text: { content: caption } }] : [];
+
+  if (resource.contentType.startsWith("image/")) {
+    return {
+      type: "image",
+      image: {
+        type: "file_upload",
+        file_upload: { id: resource.uploadId },
+        caption: captionText,
+      },
+    };
+  }
+
+  return {
+    type: "file",
+    file: {
+      type: "file_upload",
+      file_upload: { id: resource.uploadId },
+      name: resource.filename,
+      caption: captionText,
+    },
+  };
+}
+
+/**
+ * Uploads every resource a note references and returns converter hooks
+ * that place them in the page
+ * @param {Client} notion - Notion client
+ * @param {string} content - The note's Markdown content
+ * @param {Object} options - Upload options
+ * @param {string} options.noteDir - Directory of the note
+ * @param {string} options.token - Notion integration token
+ * @param {string} [options.resourcesDir] - The export's _resources folder, if known
+ * @param {Map<string, Object>} [options.resources] - Joplin resource details by ID, if known
+ * @param {boolean} [options.dryRun] - Locate resources without uploading them
+ * @returns {Promise<{resolveImage: Function, resolveAttachment: Function, resolveLink: Function, missing: string[]}>}
+ */
+async function prepareResources(notion, content, options) {
+  const { noteDir, token, resources = new Map(), dryRun = false } = options;
+  const references = findResourceReferences(content);
+  const uploaded = new Map();
+  const missing = [];
+
+  const claimed = new Set(); // References that are resources, found or not
+
+  if (references.size > 0) {
+    const resourcesDir = options.resourcesDir || (await findResourcesDir(noteDir));
+
+    for (const [reference, isImage] of references) {
+      const resource = resources.get(reference.match(JOPLIN_RESOURCE)?.[1]);
+      if (resource?.encrypted) {
+        claimed.add(reference);
+        missing.push(`${reference} (${resource.title} is encrypted)`);
+        continue;
+      }
+
+      const filePath = await locateResource(reference, noteDir, resourcesDir);
+      if (!filePath) {
+        // Without a resource record, probably a link to another note
+        if (!resource && !isImage && JOPLIN_RESOURCE.test(reference)) continue;
+
+        claimed.add(reference);
+        missing.push(resource ? `${reference} (${resource.title}: file not found)` : reference);
+        continue;
+      }
+
+      claimed.add(reference);
+
+      const filename = resource?.title ?? path.basename(filePath);
+      const contentType = resource?.mime ?? contentTypeOf(filename);
+      try {
+        uploaded.set(reference, {
+          uploadId: dryRun ? "dry-run" : await uploadFile(notion, filePath, { token, filename, contentType }),
+          filename,
+          contentType,
+        });
+      } catch (error) {
+        missing.push(`${reference} (${error.message})`);
+      }
+    }
+  }
+
+  const resolveBlock = (url, text) => {
+    if (!claimed.has(url)) return undefined;
+    const resource = uploaded.get(url);
+    return resource ? resourceBlock(resource, text) : null;
+  };
+
+  return {
+    resolveImage: resolveBlock,
+    resolveAttachment: resolveBlock,
+    // Uploaded files can't be linked from text; keep the link text only
+    resolveLink: (url) => (claimed.has(url) ? null : undefined),
+    missing,
+  };
+}
+
+export { findResourceReferences, prepareResources, uploadFile };
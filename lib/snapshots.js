@@ -0,0 +1,191 @@
+/**
+ * Database Snapshots
+ *
+ * Keeps a copy of each database's schema and pages on disk, so the duplicate
+ * and URL scripts don't page through every database on every run. A cached
+ * database is brought up to date by fetching only the pages edited since it
+ * was last synced, or used as it is when working offline.
+ *
+ * An incremental fetch can't see pages deleted or archived in Notion, so
+ * they stay in the snapshot until a full refresh. Pages these scripts
+ * archive themselves are dropped straight away.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+const SNAPSHOT_VERSION = 1;
+
+const DEFAULT_CACHE_DIR = ".notion-cache";
+
+// Notion rounds last_edited_time down to the minute, so sync a minute early
+const SYNC_OVERLAP_MS = 60 * 1000;
+
+/**
+ * Gets the folder snapshots are kept in
+ * @param {string} [cacheDir] - Folder given by the caller
+ * @returns {string}
+ */
+function resolveCacheDir(cacheDir) {
+  return cacheDir || process.env.NOTION_CACHE_DIR || DEFAULT_CACHE_DIR;
+}
+
+/**
+ * Gets the snapshot file of a database
+ * @param {string} cacheDir - Snapshot folder
+ * @param {string} databaseId - Notion database ID
+ * @returns {string}
+ */
+function snapshotFile(cacheDir, databaseId) {
+  return path.join(cacheDir, `${databaseId.replace(/-/g, "")}.json`);
+}
+
+/**
+ * Reads a database snapshot
+ * @param {string} filePath - Snapshot file
+ * @returns {Promise<Object|null>} The snapshot, or null if there is none
+ */
+async function readSnapshot(filePath) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Could not read snapshot ${filePath}: ${error.message}`);
+  }
+
+  // An older format is simply fetched again
+  return data.version === SNAPSHOT_VERSION ? data : null;
+}
+
+/**
+ * Writes a database snapshot to a temporary file and renames it into place
+ * @param {string} filePath - Snapshot file
+ * @param {Object} snapshot - Schema, pages and sync time
+ * @returns {Promise<void>}
+ */
+async function writeSnapshot(filePath, snapshot) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify({ version: SNAPSHOT_VERSION, ...snapshot }));
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Queries every page in a database, following pagination
+ * @param {Client} notion - Notion client
+ * @param {string} databaseId - Notion database ID
+ * @param {Object} [options] - Query options
+ * @param {number} [options.pageSize] - Pages fetched per query
+ * @param {Object} [options.filter] - Notion filter
+ * @returns {Promise<Object[]>}
+ */
+async function queryPages(notion, databaseId, { pageSize = 100, filter } = {}) {
+  let pages = [];
+  let startCursor = undefined;
+
+  do {
+    const response = await notion.databases.query({
+      database_id: databaseId,
+      start_cursor: startCursor,
+      page_size: pageSize,
+      ...(filter && { filter }),
+    });
+    pages = pages.concat(response.results);
+    startCursor = response.has_more ? response.next_cursor : undefined;
+  } while (startCursor);
+
+  return pages;
+}
+
+/**
+ * Gets a database's schema and pages, from Notion or its snapshot
+ * @param {Client} notion - Notion client
+ * @param {string} databaseId - Notion database ID
+ * @param {Object} [options] - Fetch options
+ * @param {number} [options.pageSize] - Pages fetched per query
+ * @param {boolean} [options.cache] - Keep a snapshot and only fetch pages edited since it was synced
+ * @param {boolean} [options.offline] - Use the snapshot without contacting Notion
+ * @param {boolean} [options.refresh] - Fetch every page again and replace the snapshot
+ * @param {string} [options.cacheDir] - Snapshot folder (default: $NOTION_CACHE_DIR or .notion-cache)
+ * @returns {Promise<{database: Object, pages: Object[]}>}
+ */
+async function fetchDatabase(notion, databaseId, options = {}) {
+  const { pageSize = 100, cache = false, offline = false, refresh = false } = options;
+
+  if (!cache && !offline && !refresh) {
+    const database = await notion.databases.retrieve({ database_id: databaseId });
+    return { database, pages: await queryPages(notion, databaseId, { pageSize }) };
+  }
+
+  const filePath = snapshotFile(resolveCacheDir(options.cacheDir), databaseId);
+  const snapshot = refresh ? null : await readSnapshot(filePath);
+
+  if (offline) {
+    if (!snapshot) {
+      throw new Error(
+        `No snapshot of database ${databaseId} in ${filePath}; run once without --offline first`
+      );
+    }
+    console.log(
+      `Using the snapshot of ${databaseId} synced ${snapshot.syncedAt} (${snapshot.pages.length} pages)`
+    );
+    return { database: snapshot.database, pages: snapshot.pages };
+  }
+
+  const syncedAt = new Date().toISOString();
+  const database = await notion.databases.retrieve({ database_id: databaseId });
+
+  let pages;
+  if (snapshot) {
+    const since = new Date(Date.parse(snapshot.syncedAt) - SYNC_OVERLAP_MS).toISOString();
+    const edited = await queryPages(notion, databaseId, {
+      pageSize,
+      filter: { timestamp: "last_edited_time", last_edited_time: { on_or_after: since } },
+    });
+
+    const byId = new Map(snapshot.pages.map((page) => [page.id, page]));
+    for (const page of edited) {
+      if (page.archived || page.in_trash) byId.delete(page.id);
+      else byId.set(page.id, page);
+    }
+    pages = Array.from(byId.values());
+    console.log(
+      `Fetched ${edited.length} pages edited since ${snapshot.syncedAt}; ${pages.length} pages in the snapshot`
+    );
+  } else {
+    pages = await queryPages(notion, databaseId, { pageSize });
+  }
+
+  await writeSnapshot(filePath, { databaseId, syncedAt, database, pages });
+  return { database, pages };
+}
+
+/**
+ * Drops pages from their databases' snapshots, e.g. after archiving them
+ * @param {Object[]} pages - Pages from Notion, with their parent database
+ * @param {Object} [options] - Snapshot options
+ * @param {string} [options.cacheDir] - Snapshot folder
+ * @returns {Promise<void>}
+ */
+async function forgetPages(pages, options = {}) {
+  const cacheDir = resolveCacheDir(options.cacheDir);
+  const byDatabase = new Map(); // Database ID => page IDs
+  for (const page of pages) {
+    const databaseId = page.parent?.database_id;
+    if (!databaseId) continue;
+    if (!byDatabase.has(databaseId)) byDatabase.set(databaseId, new Set());
+    byDatabase.get(databaseId).add(page.id);
+  }
+
+  for (const [databaseId, pageIds] of byDatabase) {
+    const filePath = snapshotFile(cacheDir, databaseId);
+    const snapshot = await readSnapshot(filePath);
+    if (!snapshot) continue;
+    const { version, ...rest } = snapshot;
+    const remaining = snapshot.pages.filter((page) => !pageIds.has(page.id));
+    await writeSnapshot(filePath, { ...rest, pages: remaining });
+  }
+}
+
+export { fetchDatabase, forgetPages, queryPages, resolveCacheDir };
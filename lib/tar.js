@@ -0,0 +1,117 @@
+/**
+ * Tar Archive Reading
+ *
+ * Just enough of the tar format to read Joplin's JEX exports: ustar headers,
+ * plus the GNU and pax extensions some tar writers use for long file names.
+ * Entries are read one at a time, so large archives don't have to fit in
+ * memory.
+ */
+
+import fs from "fs/promises";
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Reads a NUL-terminated string field from a header
+ * @param {Buffer} header - The header block
+ * @param {number} offset - Field start
+ * @param {number} length - Field length
+ * @returns {string}
+ */
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString("utf8");
+}
+
+/**
+ * Reads a numeric header field, in octal or GNU base-256
+ * @param {Buffer} header - The header block
+ * @param {number} offset - Field start
+ * @param {number} length - Field length
+ * @returns {number}
+ */
+function readNumber(header, offset, length) {
+  if (header[offset] & 0x80) {
+    let value = header[offset] & 0x7f;
+    for (let i = offset + 1; i < offset + length; i++) value = value * 256 + header[i];
+    return value;
+  }
+  const text = readString(header, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Parses the records of a pax extended header
+ * @param {Buffer} data - The pax header's content
+ * @returns {Object} Keyword => value
+ */
+function parsePax(data) {
+  const records = {};
+  let position = 0;
+  while (position < data.length) {
+    const space = data.indexOf(0x20, position);
+    if (space === -1) break;
+    const length = parseInt(data.subarray(position, space).toString("utf8"), 10);
+    if (!length) break;
+    const record = data.subarray(space + 1, position + length - 1).toString("utf8");
+    const equals = record.indexOf("=");
+    if (equals !== -1) records[record.slice(0, equals)] = record.slice(equals + 1);
+    position += length;
+  }
+  return records;
+}
+
+/**
+ * Reads the files in a tar archive
+ * @param {string} filePath - The archive
+ * @yields {{name: string, data: Buffer}} Each regular file, in archive order
+ */
+async function* readTarEntries(filePath) {
+  const file = await fs.open(filePath, "r");
+  try {
+    let position = 0;
+    let longName = null; // Set by a GNU or pax header for the next entry
+
+    while (true) {
+      const header = Buffer.alloc(BLOCK_SIZE);
+      const { bytesRead } = await file.read(header, 0, BLOCK_SIZE, position);
+      if (bytesRead < BLOCK_SIZE || header.every((byte) => byte === 0)) break;
+      position += BLOCK_SIZE;
+
+      const size = readNumber(header, 124, 12);
+      const type = String.fromCharCode(header[156] || 0x30);
+      const data = Buffer.alloc(size);
+      if (size > 0) await file.read(data, 0, size, position);
+      position += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+      if (type === "L") {
+        longName = readString(data, 0, data.length);
+        continue;
+      }
+      if (type === "x") {
+        longName = parsePax(data).path ?? longName;
+        continue;
+      }
+      if (type !== "0" && type !== "7") {
+        // Directories, links and global headers carry no file content
+        longName = null;
+        continue;
+      }
+
+      let name = longName;
+      if (!name) {
+        const prefix = readString(header, 345, 155);
+        const baseName = readString(header, 0, 100);
+        name = readString(header, 257, 5) === "ustar" && prefix ? `${prefix}/${baseName}` : baseName;
+      }
+      longName = null;
+
+      yield { name, data };
+    }
+  } finally {
+    await file.close();
+  }
+}
+
+export { readTarEntries };
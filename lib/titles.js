@@ -0,0 +1,170 @@
+/**
+ * Fuzzy Title Matching
+ *
+ * Finds titles that are probably the same page saved twice, even when they
+ * differ in case, accents, punctuation, emoji, a site name suffix ("How to X
+ * | Medium") or a word or two. Titles are normalized first, then scored from
+ * 0 to 1 by the better of two measures:
+ * - Token overlap (Dice coefficient on the sets of words), which ignores
+ *   word order and tolerates an extra or missing word
+ * - Edit distance on the normalized text, which tolerates typos
+ */
+
+const DEFAULT_THRESHOLD = 0.85;
+
+// Separators before a trailing site name, e.g. "Title | Site" or "Title - Site"
+const SITE_SUFFIX = /\s+(?:\||-|–|—|·|::)\s+([^|\-–—·]+)$/u;
+
+// A site name is short; anything longer is more likely part of the title
+const MAX_SUFFIX_WORDS = 3;
+
+// Words too common to suggest two titles might match
+const STOPWORDS = new Set([
+  "a", "an", "and", "the", "of", "to", "in", "on", "for", "with", "is", "how", "what", "why",
+]);
+
+// Words in more than this share of the titles don't group titles for comparison...
+const MAX_BLOCK_SHARE = 0.05;
+// ...unless the collection is so small that the share is only a few titles
+const MIN_COMMON_COUNT = 50;
+
+/**
+ * Normalizes a title for fuzzy comparison
+ * @param {string} title - The title
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function normalizeTitle(title) {
+  let text = String(title ?? "").normalize("NFKD");
+
+  const suffix = text.match(SITE_SUFFIX);
+  // Digits suggest a part number ("Part 2") rather than a site
+  if (suffix && !/\d/.test(suffix[1]) && suffix[1].trim().split(/\s+/).length <= MAX_SUFFIX_WORDS) {
+    text = text.slice(0, suffix.index);
+  }
+
+  return text
+    .replace(/\p{M}/gu, "") // Accents, split off by NFKD
+    .replace(/\p{Extended_Pictographic}/gu, " ")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Computes the Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Scores how similar two normalized titles are
+ * @param {string} a - First normalized title
+ * @param {string} b - Second normalized title
+ * @param {number} [threshold] - Skip the edit distance when it can't reach this
+ * @returns {number} From 0 (nothing alike) to 1 (same after normalizing)
+ */
+function similarity(a, b, threshold = 0) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const tokensA = new Set(a.split(" "));
+  const tokensB = new Set(b.split(" "));
+  const shared = [...tokensA].filter((token) => tokensB.has(token)).length;
+  const tokenScore = (2 * shared) / (tokensA.size + tokensB.size);
+
+  // Titles that differ in a number ("Part 1", "Part 2", "user12") are usually different pages
+  const numbers = (title) => (title.match(/\d+/g) ?? []).sort().join(" ");
+  if (numbers(a) !== numbers(b)) return tokenScore;
+
+  // The edit distance is at least the difference in length
+  const longest = Math.max(a.length, b.length);
+  if (1 - Math.abs(a.length - b.length) / longest < Math.max(threshold, tokenScore)) {
+    return tokenScore;
+  }
+  return Math.max(tokenScore, 1 - editDistance(a, b) / longest);
+}
+
+/**
+ * Finds pairs of items with similar titles
+ *
+ * Only titles that share a word are compared, rather than every pair. Words
+ * found in a large share of the titles, such as a site name, would still
+ * put almost everything in one block, so they're left out of the blocking;
+ * a title made only of such words is blocked by its rarest one.
+ * @param {Array<{title: string}>} items - Items to compare, e.g. pages
+ * @param {number} [threshold] - Lowest score to report, from 0 to 1
+ * @returns {Array<{a: Object, b: Object, score: number}>} Pairs, best match first
+ */
+function findSimilarTitles(items, threshold = DEFAULT_THRESHOLD) {
+  const normalized = items.map((item) => normalizeTitle(item.title));
+  const tokenSets = normalized.map(
+    (title) => new Set(title.split(" ").filter((token) => token && !STOPWORDS.has(token)))
+  );
+
+  const counts = new Map(); // Word => number of titles with it
+  tokenSets.forEach((tokens) => tokens.forEach((token) => counts.set(token, (counts.get(token) ?? 0) + 1)));
+  const maxBlock = Math.max(MIN_COMMON_COUNT, Math.ceil(items.length * MAX_BLOCK_SHARE));
+
+  const blocking = tokenSets.map((tokens) => {
+    const rare = [...tokens].filter((token) => counts.get(token) <= maxBlock);
+    if (rare.length > 0 || tokens.size === 0) return rare;
+    return [[...tokens].reduce((a, b) => (counts.get(b) < counts.get(a) ? b : a))];
+  });
+
+  const byToken = new Map(); // Word => indexes of the titles blocked by it
+  blocking.forEach((tokens, i) => {
+    for (const token of tokens) {
+      if (!byToken.has(token)) byToken.set(token, []);
+      byToken.get(token).push(i);
+    }
+  });
+
+  // Each pair is compared once, from its first title; lastSeen[j] === i marks
+  // j as already compared with i, however many words they share
+  const pairs = [];
+  const lastSeen = new Int32Array(items.length).fill(-1);
+  for (let i = 0; i < items.length; i++) {
+    for (const token of blocking[i]) {
+      for (const j of byToken.get(token)) {
+        if (j <= i || lastSeen[j] === i) continue;
+        lastSeen[j] = i;
+
+        const score = similarity(normalized[i], normalized[j], threshold);
+        if (score >= threshold) pairs.push({ a: items[i], b: items[j], score });
+      }
+    }
+  }
+
+  return pairs.sort((p, q) => q.score - p.score);
+}
+
+/**
+ * Parses a similarity threshold
+ * @param {string|number} value - Threshold from 0 to 1
+ * @returns {number}
+ */
+function parseThreshold(value) {
+  const threshold = Number(value);
+  if (Number.isNaN(threshold) || threshold <= 0 || threshold > 1) {
+    throw new Error(`Threshold must be a number between 0 and 1, got ${value}`);
+  }
+  return threshold;
+}
+
+export { DEFAULT_THRESHOLD, findSimilarTitles, normalizeTitle, parseThreshold, similarity };
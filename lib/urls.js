@@ -2,17 +2,29 @@
  * URL Cleanup and Normalization Script
  *
  * Features:
- * - Attempts HTTPS upgrade
+ * - Attempts HTTPS upgrade, probing each origin once (optionally remembered
+ *   between runs) and only a few requests at a time per host
  * - Removes www prefix
  * - Removes tracking parameters
  * - Removes fragments (#)
  * - Normalizes paths
  * - Sorts query parameters
  * - Removes redundant ports
+ * - Rewrites well-known sites' URLs into their canonical form: YouTube short
+ *   and mobile links, Amazon product links, Google and Facebook redirect
+ *   wrappers, AMP pages, old.reddit.com and mobile.twitter.com. More sites
+ *   can be added with registerSiteRewriter().
+ * - Optionally follows short links (bit.ly, t.co, ...) and permanent
+ *   redirects to the URL they end up at
+ *
+ * canonicalUrl() applies the same rules offline and synchronously, without
+ * the HTTPS check, to get a key for comparing URLs.
  */
 
+import fs from "fs/promises";
+import path from "path";
 import fetch from "node-fetch";
-import { URL } from "url";
+import { URL, fileURLToPath } from "url";
 
 // Common tracking and analytics parameters to remove
 const PARAMS_TO_REMOVE = new Set([
@@ -76,25 +88,210 @@ const PARAMS_TO_KEEP = new Set([
   "filter",
 ]);
 
+// Short link services, whose redirects are followed even when temporary
+const SHORTENER_DOMAINS = [
+  "bit.ly",
+  "t.co",
+  "lnkd.in",
+  "goo.gl",
+  "tinyurl.com",
+  "ow.ly",
+  "buff.ly",
+  "is.gd",
+  "dlvr.it",
+];
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const PERMANENT_REDIRECT_STATUSES = new Set([301, 308]);
+
+// Redirect targets that stand in for a page rather than replace it: a login
+// wall or a cookie consent page
+const LOGIN_PATH = /\/(?:log-?in|sign-?in|sign_in|auth(?:orize)?|sso|consent)(?:[/.?]|$)/i;
+const LOGIN_HOST = /^(?:login|signin|accounts?|auth|sso|consent)\./i;
+
+// Servers that refuse HEAD requests answer with one of these
+const HEAD_REJECTED_STATUSES = new Set([405, 501]);
+
+// How long a saved HTTPS probe result is trusted
+const HTTPS_PROBE_TTL_MS = {
+  available: 30 * 24 * 60 * 60 * 1000,
+  unavailable: 24 * 60 * 60 * 1000, // Failures may be temporary
+};
+
+const HTTPS_PROBE_FILE_VERSION = 1;
+
+/**
+ * Throws away a response body that won't be read
+ * @param {Object} response - fetch response
+ */
+function discardBody(response) {
+  const body = response.body;
+  if (typeof body?.cancel === "function") body.cancel().catch(() => {});
+  else if (typeof body?.destroy === "function") body.destroy();
+}
+
 /**
- * Checks if HTTPS is available for a given URL
+ * Checks if HTTPS is available for a given URL, retrying with GET when the
+ * server rejects HEAD
  * @param {string} url - The URL to check
+ * @param {Function} [fetcher] - fetch-compatible function
+ * @param {number} [timeoutMs] - Time limit for each request
  * @returns {Promise<boolean>}
  */
-async function canUseHttps(url) {
+async function canUseHttps(url, fetcher = fetch, timeoutMs = 5000) {
   try {
     const httpsUrl = url.replace(/^http:/, "https:");
-    const response = await fetch(httpsUrl, {
+    let response = await fetcher(httpsUrl, {
       method: "HEAD",
-      timeout: 5000,
+      signal: AbortSignal.timeout(timeoutMs),
       redirect: "follow",
     });
+    if (HEAD_REJECTED_STATUSES.has(response.status)) {
+      response = await fetcher(httpsUrl, {
+        method: "GET",
+        signal: AbortSignal.timeout(timeoutMs),
+        redirect: "follow",
+      });
+      discardBody(response);
+    }
     return response.ok;
   } catch (error) {
     return false;
   }
 }
 
+class HostLimiter {
+  constructor(maxPerHost) {
+    this.maxPerHost = maxPerHost; // Requests allowed at once on one host
+    this.active = new Map(); // Host => requests running
+    this.waiting = new Map(); // Host => callbacks waiting for a free slot
+  }
+
+  /**
+   * Runs a task once fewer than maxPerHost tasks are running on its host
+   * @param {string} host - Host the task contacts
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} What the task returns
+   */
+  async run(host, task) {
+    const active = this.active.get(host) ?? 0;
+    if (active < this.maxPerHost) {
+      this.active.set(host, active + 1);
+    } else {
+      // The slot is handed over by release(), already counted
+      await new Promise((resolve) => {
+        if (!this.waiting.has(host)) this.waiting.set(host, []);
+        this.waiting.get(host).push(resolve);
+      });
+    }
+
+    try {
+      return await task();
+    } finally {
+      this.release(host);
+    }
+  }
+
+  /**
+   * Passes a finished task's slot to the next one waiting on the host
+   * @param {string} host - Host the task contacted
+   */
+  release(host) {
+    const waiting = this.waiting.get(host);
+    if (waiting?.length > 0) {
+      waiting.shift()();
+      if (waiting.length === 0) this.waiting.delete(host);
+      return;
+    }
+    const active = this.active.get(host) - 1;
+    if (active > 0) this.active.set(host, active);
+    else this.active.delete(host);
+  }
+}
+
+class HttpsProbe {
+  /**
+   * @param {Object} [options] - Probe options
+   * @param {number} [options.maxPerHost] - Probes allowed at once on one host
+   * @param {number} [options.timeoutMs] - Time limit for each request
+   * @param {string} [options.cacheFile] - JSON file that keeps results between runs
+   * @param {Function} [options.fetcher] - fetch-compatible function
+   */
+  constructor(options = {}) {
+    const { maxPerHost = 2, timeoutMs = 5000, cacheFile = null, fetcher = fetch } = options;
+    this.timeoutMs = timeoutMs;
+    this.cacheFile = cacheFile;
+    this.fetcher = fetcher;
+    this.limiter = new HostLimiter(maxPerHost);
+    this.results = new Map(); // Origin => {https: boolean, checkedAt: string}
+    this.pending = new Map(); // Origin => probe in flight
+    this.probes = 0; // Requests actually made
+  }
+
+  /**
+   * Loads results saved by an earlier run, dropping expired ones
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.cacheFile) return;
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.cacheFile, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return;
+      throw new Error(`Could not read HTTPS probe cache ${this.cacheFile}: ${error.message}`);
+    }
+    if (data.version !== HTTPS_PROBE_FILE_VERSION) return;
+
+    const now = Date.now();
+    for (const [origin, result] of Object.entries(data.origins ?? {})) {
+      const ttl = result.https ? HTTPS_PROBE_TTL_MS.available : HTTPS_PROBE_TTL_MS.unavailable;
+      if (now - Date.parse(result.checkedAt) < ttl) this.results.set(origin, result);
+    }
+  }
+
+  /**
+   * Saves the results for the next run
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.cacheFile) return;
+    const tempPath = `${this.cacheFile}.${process.pid}.tmp`;
+    const data = { version: HTTPS_PROBE_FILE_VERSION, origins: Object.fromEntries(this.results) };
+    await fs.mkdir(path.dirname(path.resolve(this.cacheFile)), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, this.cacheFile);
+  }
+
+  /**
+   * Checks if an http URL's origin also serves HTTPS, probing each origin
+   * once however many of its URLs are checked
+   * @param {string} url - The URL to check
+   * @returns {Promise<boolean>}
+   */
+  async canUseHttps(url) {
+    const { host, hostname } = new URL(url);
+    if (this.results.has(host)) return this.results.get(host).https;
+    if (this.pending.has(host)) return this.pending.get(host);
+
+    const probe = this.limiter
+      .run(hostname, () => {
+        this.probes++;
+        return canUseHttps(url, this.fetcher, this.timeoutMs);
+      })
+      .then((https) => {
+        this.results.set(host, { https, checkedAt: new Date().toISOString() });
+        this.pending.delete(host);
+        return https;
+      });
+    this.pending.set(host, probe);
+    return probe;
+  }
+}
+
+// Shared by cleanUrl() calls that don't bring their own probe
+const defaultHttpsProbe = new HttpsProbe();
+
 /**
  * Determines if a parameter looks like a tracking parameter
  * @param {string} param - The parameter name to check
@@ -120,10 +317,377 @@ function looksLikeTracking(param) {
   return trackingPatterns.some((pattern) => pattern.test(param.toLowerCase()));
 }
 
+// Most rewrites a URL goes through, e.g. a Google redirect to an AMP page
+const MAX_REWRITES = 5;
+
+/**
+ * Reads the web URL a redirect wrapper points at
+ * @param {string|null} target - Value of the wrapper's parameter
+ * @returns {string|null} The URL, or null if it isn't an http(s) URL
+ */
+function redirectTarget(target) {
+  return target && /^https?:\/\//i.test(target) ? target : null;
+}
+
+// Sites about AMP itself, whose amp. hosts are not AMP copies of other pages
+const AMP_PROJECT_DOMAINS = ["amp.dev", "ampproject.org", "ampproject.com"];
+
+// Publishers that serve an article's AMP version at <article>/amp. Elsewhere a
+// path ending in /amp is just as likely a repository or section named amp.
+const AMP_PATH_DOMAINS = [
+  "wired.com",
+  "techcrunch.com",
+  "mashable.com",
+  "theverge.com",
+  "cnet.com",
+  "zdnet.com",
+  "independent.co.uk",
+];
+
+// Second-level labels under which country domains register names, as in co.uk
+const COUNTRY_SECOND_LEVELS = new Set(["ac", "co", "com", "edu", "gov", "net", "org", "ne", "or"]);
+
+/**
+ * Checks whether a hostname still names a site of its own, not just a
+ * top-level domain such as "dev" or "co.uk"
+ * @param {string} hostname - The hostname
+ * @returns {boolean}
+ */
+function hasRegistrableDomain(hostname) {
+  const labels = hostname.split(".").filter(Boolean);
+  if (labels.length < 2) return false;
+  const [secondLevel, topLevel] = labels.slice(-2);
+  if (topLevel.length === 2 && COUNTRY_SECOND_LEVELS.has(secondLevel)) return labels.length >= 3;
+  return true;
+}
+
+// Rewriters for sites whose URLs have a known canonical form. Each lists the
+// domains it applies to ("*" for any, "name.*" for any top-level domain) and
+// returns the rewritten URL with a description of the change, or null.
+const siteRewriters = [
+  {
+    name: "youtube",
+    domains: ["youtu.be", "m.youtube.com"],
+    rewrite(url) {
+      if (url.hostname === "m.youtube.com") {
+        url.hostname = "youtube.com";
+        return { url, change: "Rewrote mobile YouTube link" };
+      }
+      const id = url.pathname.split("/")[1];
+      if (!id) return null;
+      const watch = new URL("https://youtube.com/watch");
+      watch.searchParams.set("v", id);
+      for (const param of ["t", "list"]) {
+        if (url.searchParams.has(param)) watch.searchParams.set(param, url.searchParams.get(param));
+      }
+      return { url: watch, change: "Expanded youtu.be short link" };
+    },
+  },
+  {
+    name: "amazon",
+    domains: ["amazon.*"],
+    rewrite(url) {
+      const match = url.pathname.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})(?:[/?]|$)/i);
+      if (!match) return null;
+      const product = `${url.protocol}//${url.host}/dp/${match[1].toUpperCase()}`;
+      return url.href === product ? null : { url: product, change: "Shortened Amazon product link" };
+    },
+  },
+  {
+    name: "google-redirect",
+    domains: ["google.*"],
+    rewrite(url) {
+      if (url.pathname !== "/url") return null;
+      const target = redirectTarget(url.searchParams.get("q") ?? url.searchParams.get("url"));
+      return target && { url: target, change: "Unwrapped Google redirect" };
+    },
+  },
+  {
+    name: "facebook-redirect",
+    domains: ["facebook.com"],
+    rewrite(url) {
+      if (url.pathname !== "/l.php") return null;
+      const target = redirectTarget(url.searchParams.get("u"));
+      return target && { url: target, change: "Unwrapped Facebook redirect" };
+    },
+  },
+  {
+    name: "amp-cache",
+    domains: ["cdn.ampproject.org", "google.*"],
+    rewrite(url) {
+      // e.g. example-com.cdn.ampproject.org/c/s/example.com/a or www.google.com/amp/s/example.com/a
+      let match = null;
+      if (url.hostname.endsWith(".cdn.ampproject.org")) {
+        match = url.pathname.match(/^\/c\/(s\/)?([^/]+\.[^/]+(?:\/.*)?)$/);
+      } else if (/^(?:www\.)?google\.[a-z]{2,}(?:\.[a-z]{2})?$/.test(url.hostname)) {
+        const pattern = url.hostname.startsWith("www.") ? /^\/amp\/(s\/)?(.+)$/ : /^\/amp\/(s\/)(.+)$/;
+        match = url.pathname.match(pattern);
+      }
+      if (!match) return null;
+
+      const target = `${match[1] ? "https" : "http"}://${match[2]}${url.search}`;
+      try {
+        if (!hasRegistrableDomain(new URL(target).hostname)) return null;
+      } catch (error) {
+        return null;
+      }
+      return { url: target, change: "Unwrapped AMP cache link" };
+    },
+  },
+  {
+    name: "amp-subdomain",
+    domains: ["*"],
+    rewrite(url) {
+      if (!url.hostname.startsWith("amp.")) return null;
+      const hostname = url.hostname.slice("amp.".length);
+      // amp.dev and the AMP project's own sites are not AMP versions of anything
+      if (AMP_PROJECT_DOMAINS.some((domain) => matchesDomain(url.hostname, domain))) return null;
+      if (!hasRegistrableDomain(hostname)) return null;
+      url.hostname = hostname;
+      return { url, change: "Removed AMP subdomain" };
+    },
+  },
+  {
+    name: "amp-path",
+    domains: AMP_PATH_DOMAINS,
+    rewrite(url) {
+      // Only an article's AMP version, never a page that is just /amp
+      if (!/^\/.+\/amp\/?$/.test(url.pathname)) return null;
+      url.pathname = url.pathname.replace(/\/amp\/?$/, "");
+      return { url, change: "Removed AMP path" };
+    },
+  },
+  {
+    name: "reddit",
+    domains: ["old.reddit.com"],
+    rewrite(url) {
+      url.hostname = "reddit.com";
+      return { url, change: "Rewrote old.reddit.com link" };
+    },
+  },
+  {
+    name: "twitter",
+    domains: ["mobile.twitter.com"],
+    rewrite(url) {
+      url.hostname = "twitter.com";
+      return { url, change: "Rewrote mobile Twitter link" };
+    },
+  },
+];
+
+/**
+ * Checks whether a redirect gives up on the page rather than moving it: a
+ * deep link sent to the site's home page, or any link sent to a login or
+ * consent page. Dead pages are often permanently redirected this way.
+ * @param {URL} from - The URL redirected
+ * @param {URL} to - Where it was redirected
+ * @param {boolean} isShortener - Whether the redirect came from a short link service
+ * @returns {string|null} Where it was sent, or null for a real move
+ */
+function unwantedRedirect(from, to, isShortener) {
+  if (LOGIN_HOST.test(to.hostname) || LOGIN_PATH.test(to.pathname)) return "a login or consent page";
+  const deep = from.pathname.length > 1 || from.search;
+  if (!isShortener && deep && to.pathname === "/" && !to.search) return "the home page";
+  return null;
+}
+
+/**
+ * Follows a URL's redirects: any redirect from a short link service, and
+ * permanent redirects from other sites. Stops before a redirect to a home
+ * or login page, which would lose the page the link was for. Asks with HEAD,
+ * falling back to GET when the server rejects HEAD.
+ * @param {string} startUrl - The URL to start from
+ * @param {Object} options - Redirect options
+ * @param {number} options.maxRedirects - Most redirects to follow
+ * @param {number} options.timeoutMs - Time limit for each request
+ * @param {string[]} options.denyList - Domains never to contact
+ * @param {Function} options.fetcher - fetch-compatible function
+ * @returns {Promise<{chain: string[], stoppedEarly: boolean, refused: string|null}>} The
+ *   URLs redirected to, the final one last, and what a refused redirect led to
+ */
+async function followRedirects(startUrl, { maxRedirects, timeoutMs, denyList, fetcher }) {
+  const chain = [];
+  let current = startUrl;
+
+  while (true) {
+    const url = new URL(current);
+    const hostname = url.hostname.toLowerCase().replace(/^www\./, "");
+    if (!/^https?:$/.test(url.protocol) || denyList.some((domain) => matchesDomain(hostname, domain))) {
+      break;
+    }
+    if (chain.length >= maxRedirects) return { chain, stoppedEarly: true, refused: null };
+
+    const request = (method) =>
+      fetcher(current, { method, redirect: "manual", signal: AbortSignal.timeout(timeoutMs) });
+    let response;
+    try {
+      response = await request("HEAD");
+      // Servers that refuse HEAD redirect a GET just the same
+      if (HEAD_REJECTED_STATUSES.has(response.status)) {
+        response = await request("GET");
+        discardBody(response);
+      }
+    } catch (error) {
+      break; // Offline or too slow; keep what we have
+    }
+
+    const location = response.headers.get("location");
+    if (!REDIRECT_STATUSES.has(response.status) || !location) break;
+    const isShortener = SHORTENER_DOMAINS.some((domain) => matchesDomain(hostname, domain));
+    if (!isShortener && !PERMANENT_REDIRECT_STATUSES.has(response.status)) break;
+
+    const next = new URL(location, current).href;
+    // A redirect loop never ends anywhere; leave the URL alone
+    if (next === startUrl || chain.includes(next)) return { chain: [], stoppedEarly: false, refused: null };
+    const refused = unwantedRedirect(url, new URL(next), isShortener);
+    if (refused) return { chain, stoppedEarly: false, refused };
+    chain.push(next);
+    current = next;
+  }
+
+  return { chain, stoppedEarly: false, refused: null };
+}
+
+/**
+ * Adds a rewriter for a site, tried before the built-in ones
+ * @param {Object} rewriter - The rewriter
+ * @param {string} rewriter.name - Name, for replacing an earlier rewriter
+ * @param {string[]} rewriter.domains - Domains it applies to
+ * @param {Function} rewriter.rewrite - Takes a URL object and returns
+ *   {url, change} or null; it may modify the URL object it is given
+ */
+function registerSiteRewriter(rewriter) {
+  const existing = siteRewriters.findIndex(({ name }) => name === rewriter.name);
+  if (existing !== -1) siteRewriters.splice(existing, 1);
+  siteRewriters.unshift(rewriter);
+}
+
+/**
+ * Applies the site rewriters to a URL until none of them changes it
+ * @param {URL} url - The URL
+ * @returns {{url: URL, changes: string[]}}
+ */
+function rewriteSiteUrl(url) {
+  const changes = [];
+  let current = url;
+
+  for (let i = 0; i < MAX_REWRITES; i++) {
+    const hostname = current.hostname.toLowerCase().replace(/^www\./, "");
+    let result = null;
+    for (const rewriter of siteRewriters) {
+      if (!rewriter.domains.some((domain) => matchesDomain(hostname, domain))) continue;
+      result = rewriter.rewrite(new URL(current.href));
+      if (result) break;
+    }
+    if (!result) break;
+
+    let next;
+    try {
+      next = new URL(String(result.url));
+    } catch (error) {
+      break; // The rewrite didn't give a valid URL
+    }
+    if (next.href === current.href) break;
+    changes.push(result.change);
+    current = next;
+  }
+
+  return { url: current, changes };
+}
+
+// How canonicalUrl decides whether two URLs are the same
+const DEFAULT_EQUIVALENCE = {
+  ignoreScheme: true, // http://x and https://x are the same
+  ignoreWww: true,
+  ignoreFragment: true,
+  ignoreTrailingSlash: true,
+  removeTracking: true, // Only the known parameters in PARAMS_TO_REMOVE
+  // Also drop parameters that merely look like tracking, e.g. anything ending in
+  // "id"; off by default, as ?tid=1 and ?tid=2 are usually different pages
+  removeLikelyTracking: false,
+  rewriteSites: true, // youtu.be/x and youtube.com/watch?v=x are the same
+  ignoreQueryDomains: [], // Domains where the query string never matters
+};
+
+/**
+ * Checks whether a hostname is a domain or one of its subdomains
+ * @param {string} hostname - The hostname to check
+ * @param {string} domain - The domain, e.g. example.com; "*" matches any
+ *   hostname and "example.*" any top-level domain, like example.co.uk
+ * @returns {boolean}
+ */
+function matchesDomain(hostname, domain) {
+  if (domain === "*") return true;
+  const bare = domain.toLowerCase().replace(/^www\./, "");
+  if (bare.endsWith(".*")) {
+    const name = bare.slice(0, -2).replace(/\./g, "\\.");
+    return new RegExp(`(^|\\.)${name}\\.[a-z]{2,}(\\.[a-z]{2})?$`).test(hostname);
+  }
+  return hostname === bare || hostname.endsWith(`.${bare}`);
+}
+
+/**
+ * Builds a key for comparing URLs: URLs with the same key count as the same
+ * page. Works offline, unlike cleanUrl.
+ * @param {string} inputUrl - The URL
+ * @param {Object} options - Equivalence rules, see DEFAULT_EQUIVALENCE
+ * @returns {string} The key, e.g. "example.com/path?a=1", or the trimmed input
+ *   if it isn't a valid URL
+ */
+function canonicalUrl(inputUrl, options = {}) {
+  const rules = { ...DEFAULT_EQUIVALENCE, ...options };
+  let url;
+  try {
+    url = new URL(String(inputUrl).trim());
+  } catch (error) {
+    return String(inputUrl).trim();
+  }
+
+  // Only web URLs have hosts and paths to normalize
+  if (!/^https?:$/.test(url.protocol)) {
+    if (rules.ignoreFragment) url.hash = "";
+    return url.href;
+  }
+  if (rules.rewriteSites) url = rewriteSiteUrl(url).url;
+
+  let hostname = url.hostname;
+  if (rules.ignoreWww) hostname = hostname.replace(/^www\./, "");
+  const port = url.port ? `:${url.port}` : "";
+
+  let path = url.pathname.replace(/\/+/g, "/");
+  if (rules.ignoreTrailingSlash && path.length > 1) path = path.replace(/\/$/, "");
+  if (path === "/") path = "";
+
+  let search = "";
+  if (!rules.ignoreQueryDomains.some((domain) => matchesDomain(hostname, domain))) {
+    const params = [...url.searchParams.entries()]
+      .filter(([, value]) => value.length > 0)
+      .filter(
+        ([key]) =>
+          !(rules.removeTracking && PARAMS_TO_REMOVE.has(key.toLowerCase())) &&
+          !(rules.removeLikelyTracking && looksLikeTracking(key))
+      )
+      .sort();
+    if (params.length > 0) search = `?${new URLSearchParams(params)}`;
+  }
+
+  const fragment = rules.ignoreFragment ? "" : url.hash;
+  const scheme = rules.ignoreScheme ? "" : `${url.protocol}//`;
+
+  return `${scheme}${hostname}${port}${path}${search}${fragment}`;
+}
+
 /**
  * Cleans and normalizes a URL
  * @param {string} inputUrl - The URL to clean
  * @param {Object} options - Cleaning options
+ * @param {boolean} [options.expandRedirects] - Follow short links and permanent redirects
+ * @param {number} [options.maxRedirects] - Most redirects to follow (default 5)
+ * @param {number} [options.redirectTimeoutMs] - Time limit for each redirect request
+ * @param {string[]} [options.redirectDenyList] - Domains never contacted to follow a redirect
+ * @param {Function} [options.fetcher] - fetch-compatible function for every network request
+ * @param {HttpsProbe} [options.httpsProbe] - Caches the HTTPS check per origin (default: one
+ *   shared by every call, or a new one when a fetcher is given)
  * @returns {Promise<{original: string, cleaned: string, changes: string[]}>}
  */
 async function cleanUrl(inputUrl, options = {}) {
@@ -136,6 +700,13 @@ async function cleanUrl(inputUrl, options = {}) {
     sortParams = true,
     removeEmptyParams = true,
     removeDefaultPorts = true,
+    rewriteSites = true,
+    expandRedirects = false,
+    maxRedirects = 5,
+    redirectTimeoutMs = 5000,
+    redirectDenyList = [],
+    fetcher = fetch,
+    httpsProbe = fetcher === fetch ? defaultHttpsProbe : new HttpsProbe({ fetcher }),
   } = options;
 
   const changes = [];
@@ -151,9 +722,32 @@ async function cleanUrl(inputUrl, options = {}) {
   // Store original URL for comparison
   const originalUrl = url.href;
 
+  // Follow short links and moved pages to where they end up
+  if (expandRedirects) {
+    const { chain, stoppedEarly, refused } = await followRedirects(url.href, {
+      maxRedirects,
+      timeoutMs: redirectTimeoutMs,
+      denyList: redirectDenyList,
+      fetcher,
+    });
+    if (chain.length > 0) {
+      url = new URL(chain[chain.length - 1]);
+      changes.push(`Followed redirects: ${[originalUrl, ...chain].join(" → ")}`);
+    }
+    if (stoppedEarly) changes.push(`Stopped following redirects after ${maxRedirects}`);
+    if (refused) changes.push(`Didn't follow a redirect to ${refused}`);
+  }
+
+  // Give well-known sites' URLs their canonical form
+  if (rewriteSites) {
+    const rewritten = rewriteSiteUrl(url);
+    url = rewritten.url;
+    changes.push(...rewritten.changes);
+  }
+
   // Try HTTPS upgrade if requested and currently using HTTP
   if (tryHttps && url.protocol === "http:") {
-    const httpsAvailable = await canUseHttps(url.href);
+    const httpsAvailable = await httpsProbe.canUseHttps(url.href);
     if (httpsAvailable) {
       url.protocol = "https:";
       changes.push("Upgraded to HTTPS");
@@ -250,6 +844,9 @@ async function testUrlCleaning() {
     "https://example.com/path//",
     "http://example.com:80/path?fbclid=123&q=test&ref=social",
     "https://www.site.com/article/?_ga=1.2.3.4&utm_campaign=spring#top",
+    "https://youtu.be/dQw4w9WgXcQ?t=42&si=abc",
+    "https://www.amazon.co.uk/Some-Book/dp/0123456789/ref=sr_1_1?keywords=book",
+    "https://www.google.com/url?q=https://amp.example.com/story/amp/&sa=D",
   ];
 
   console.log("=== URL Cleaning Results ===\n");
@@ -269,12 +866,10 @@ async function testUrlCleaning() {
 }
 
 // Export for module usage
-export { cleanUrl };
-
-console.log(process.argv);
+export { DEFAULT_EQUIVALENCE, HttpsProbe, canonicalUrl, cleanUrl, matchesDomain, registerSiteRewriter };
 
 // Run tests if executed directly
-if (process.argv[1].endsWith("urls.js")) {
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
   console.log("Running URL cleaning tests...\n");
   (async () => {
     try {
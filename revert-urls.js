@@ -0,0 +1,206 @@
+/**
+ * Notion URL Reverter
+ *
+ * Undoes URL changes made by tidy-urls.js, using the journal it writes when
+ * changes are applied. Entries can be picked by domain or by the rule that
+ * made them, e.g. only the tracking parameters removed from one site. A URL
+ * edited since the change is left alone. Reverts are added to the same
+ * journal. Dry run unless told otherwise. Run through the CLI
+ * (`joplin2notion revert`), or directly to preview undoing the whole
+ * journal.
+ */
+
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { notion, logRequestStats } from "./lib/notion.js";
+import { matchesDomain } from "./lib/urls.js";
+import { DEFAULT_JOURNAL_FILE, journalChange, readJournal } from "./lib/journal.js";
+
+dotenv.config();
+
+/**
+ * Checks whether a journal entry touched one of some domains
+ * @param {Object} entry - Journal entry
+ * @param {string[]} domains - Domains; an empty list matches every entry
+ * @returns {boolean}
+ */
+function matchesDomains(entry, domains) {
+  if (domains.length === 0) return true;
+  return [entry.oldValue, entry.newValue].some((value) => {
+    let hostname;
+    try {
+      hostname = new URL(value).hostname.replace(/^www\./, "");
+    } catch (error) {
+      return false;
+    }
+    return domains.some((domain) => matchesDomain(hostname, domain));
+  });
+}
+
+/**
+ * Checks whether a journal entry was made by one of some rules
+ * @param {Object} entry - Journal entry
+ * @param {string[]} rules - Parts of a change description, e.g. "tracking" or
+ *   "Upgraded to HTTPS"; an empty list matches every entry
+ * @returns {boolean}
+ */
+function matchesRules(entry, rules) {
+  if (rules.length === 0) return true;
+  return entry.changes.some((change) =>
+    rules.some((rule) => change.toLowerCase().includes(rule.toLowerCase()))
+  );
+}
+
+/**
+ * Restores URL properties from a tidy-urls journal
+ * @param {Object} options - Revert options
+ * @param {string} [options.journalFile] - Journal written by tidy-urls.js
+ * @param {boolean} [options.dryRun] - List what would be restored without writing to Notion
+ * @param {string[]} [options.domains] - Only revert changes to URLs on these domains
+ * @param {string[]} [options.rules] - Only revert changes made by these rules
+ * @param {boolean} [options.verbose] - List every URL, not just the totals
+ * @returns {Promise<Object>} Revert statistics
+ */
+async function revertNotionUrls(options = {}) {
+  const {
+    journalFile = DEFAULT_JOURNAL_FILE,
+    dryRun = true,
+    domains = [],
+    rules = [],
+    verbose = true,
+  } = options;
+
+  console.log(`\n=== Notion URL Revert ${dryRun ? "(DRY RUN) " : ""}===\n`);
+
+  const stats = {
+    entriesRead: 0,
+    entriesSelected: 0,
+    urlsRestored: 0,
+    alreadyRestored: 0,
+    editedSince: 0,
+    errors: 0,
+  };
+
+  // Earlier reverts are journal entries too, but are never reverted themselves.
+  // A change left pending may have been applied; comparing it with the page
+  // below tells.
+  const entries = (await readJournal(journalFile)).filter(
+    (entry) => !entry.revert && entry.status !== "failed"
+  );
+  stats.entriesRead = entries.length;
+  const selected = entries.filter(
+    (entry) => matchesDomains(entry, domains) && matchesRules(entry, rules)
+  );
+  stats.entriesSelected = selected.length;
+
+  // Changes to the same property are undone newest first
+  const byProperty = new Map(); // Page ID and property => entries, oldest first
+  for (const entry of selected) {
+    const key = `${entry.pageId}\u0000${entry.property}`;
+    if (!byProperty.has(key)) byProperty.set(key, []);
+    byProperty.get(key).push(entry);
+  }
+
+  for (const changes of byProperty.values()) {
+    const { pageId, pageUrl, databaseId, property } = changes[0];
+    try {
+      const page = await notion.pages.retrieve({ page_id: pageId });
+      const current = page.properties[property]?.url ?? null;
+
+      let restored = current;
+      const undone = [];
+      for (const entry of [...changes].reverse()) {
+        if (entry.newValue !== restored) break;
+        restored = entry.oldValue;
+        undone.push(entry);
+      }
+
+      if (undone.length === 0) {
+        if (current === changes[0].oldValue) {
+          stats.alreadyRestored++;
+        } else {
+          stats.editedSince++;
+          if (verbose) {
+            console.log(`\nPage: ${pageUrl}`);
+            console.log(`Property: ${property}`);
+            console.log(`Skipped: now ${current}, edited since it was changed`);
+          }
+        }
+        continue;
+      }
+      if (page.archived || page.in_trash) {
+        stats.errors++;
+        console.error(`Skipping ${pageUrl}: the page is archived`);
+        continue;
+      }
+
+      stats.urlsRestored++;
+      if (verbose) {
+        console.log(`\nPage: ${pageUrl}`);
+        console.log(`Property: ${property}`);
+        console.log(`Current:  ${current}`);
+        console.log(`Restored: ${restored}`);
+        console.log("Undoing:");
+        undone.forEach((entry) =>
+          entry.changes.forEach((change) => console.log(`- ${change} (${entry.changedAt})`))
+        );
+      }
+
+      if (!dryRun) {
+        await journalChange(
+          journalFile,
+          {
+            changedAt: new Date().toISOString(),
+            pageId,
+            pageUrl,
+            databaseId,
+            property,
+            oldValue: current,
+            newValue: restored,
+            changes: ["Reverted"],
+            revert: true,
+          },
+          () =>
+            notion.pages.update({
+              page_id: pageId,
+              properties: { [property]: { url: restored } },
+            })
+        );
+        if (verbose) console.log("✅ Updated in Notion");
+      }
+    } catch (error) {
+      stats.errors++;
+      console.error(`Error processing ${pageUrl}:`, error.message);
+    }
+  }
+
+  // Print summary
+  console.log("\n=== Summary ===");
+  console.log(`Journal entries: ${stats.entriesRead}`);
+  console.log(`Entries selected: ${stats.entriesSelected}`);
+  console.log(`URLs restored: ${stats.urlsRestored}`);
+  console.log(`Already restored: ${stats.alreadyRestored}`);
+  console.log(`Edited since, left alone: ${stats.editedSince}`);
+  console.log(`Errors encountered: ${stats.errors}`);
+  logRequestStats();
+
+  if (dryRun && stats.urlsRestored > 0) {
+    console.log("\n⚠️  This was a dry run. No changes were made to Notion.");
+    console.log("Run with --apply to restore the URLs.");
+  }
+
+  return stats;
+}
+
+export { revertNotionUrls };
+
+// Run the script directly to preview undoing the whole journal
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  revertNotionUrls({
+    journalFile: DEFAULT_JOURNAL_FILE,
+    dryRun: true, // Set to false to restore the URLs in Notion
+  }).catch((error) => {
+    console.error("Script failed:", error);
+    process.exit(1);
+  });
+}
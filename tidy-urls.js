@@ -2,22 +2,22 @@
  * Notion Database URL Cleaner
  *
  * Processes multiple Notion databases and cleans URL properties using the URL cleaner utility.
- * Provides a dry run option and detailed reporting of changes.
+ * Provides a dry run option and detailed reporting of changes. Pages can be read
+ * from a local snapshot (see lib/snapshots.js), so a dry run can work offline.
+ * Run through the CLI (`joplin2notion tidy-urls`), or directly with
+ * NOTION_DATABASE_IDS set in .env.
  */
 
-import { Client } from "@notionhq/client";
+import path from "path";
+import { fileURLToPath } from "url";
 import dotenv from "dotenv";
-import { cleanUrl } from "./lib/urls.js";
+import { HttpsProbe, cleanUrl } from "./lib/urls.js";
+import { notion, logRequestStats } from "./lib/notion.js";
+import { fetchDatabase, resolveCacheDir } from "./lib/snapshots.js";
+import { DEFAULT_JOURNAL_FILE, journalChange } from "./lib/journal.js";
 
 dotenv.config();
 
-const notion = new Client({
-  auth: process.env.NOTION_TOKEN,
-});
-
-// Comma-separated list of database IDs in .env
-const DATABASE_IDS = process.env.NOTION_DATABASE_IDS.split(",");
-
 // Configuration for URL cleaning
 const CLEANING_OPTIONS = {
   tryHttps: true,
@@ -28,6 +28,7 @@ const CLEANING_OPTIONS = {
   sortParams: true,
   removeEmptyParams: true,
   removeDefaultPorts: true,
+  rewriteSites: true, // youtu.be, Amazon, redirect wrappers, AMP, ...
 };
 
 /**
@@ -49,27 +50,62 @@ function findUrlProperties(schema) {
 }
 
 /**
- * Gets all pages from a database
- * @param {string} databaseId - Notion database ID
- * @returns {Promise<Array>} Array of pages
+ * Runs a function on every page of some databases that have URL properties,
+ * a batch of pages at a time. A database that fails is reported and skipped.
+ * @param {Object} options - Iteration options
+ * @param {string[]} options.databaseIds - Notion databases
+ * @param {number} [options.batchSize] - Number of pages processed at once
+ * @param {Object} [options.fetchOptions] - Snapshot options, see fetchDatabase in lib/snapshots.js
+ * @param {Function} [options.onDatabase] - Called with (database, urlProperties) before the
+ *   pages; returns the URL properties to use, and may throw to skip the database
+ * @param {Object} stats - totalDatabases, totalPages and errors are counted here
+ * @param {Function} visit - Called with (page, urlProperties, database) for each page
+ * @returns {Promise<void>}
  */
-async function getAllPages(databaseId) {
-  let pages = [];
-  let hasMore = true;
-  let startCursor = undefined;
-
-  while (hasMore) {
-    const response = await notion.databases.query({
-      database_id: databaseId,
-      start_cursor: startCursor,
-    });
-
-    pages = pages.concat(response.results);
-    hasMore = response.has_more;
-    startCursor = response.next_cursor;
-  }
+async function forEachUrlPage(options, stats, visit) {
+  const { databaseIds, batchSize = 10, fetchOptions = {}, onDatabase } = options;
+
+  // Process each database
+  for (const dbId of databaseIds) {
+    try {
+      console.log(`Processing database: ${dbId}`);
+      stats.totalDatabases++;
+
+      // Get database schema and pages, from Notion or the local snapshot
+      const { database, pages } = await fetchDatabase(notion, dbId, fetchOptions);
+      let urlProperties = findUrlProperties(database.properties);
+      if (onDatabase) urlProperties = onDatabase(database, urlProperties);
 
-  return pages;
+      if (urlProperties.length === 0) {
+        console.log("No URL properties found in this database, skipping...\n");
+        continue;
+      }
+
+      stats.totalPages += pages.length;
+
+      console.log(
+        `Found ${pages.length} pages with ${urlProperties.length} URL properties each`
+      );
+
+      // Process pages in batches
+      for (let i = 0; i < pages.length; i += batchSize) {
+        const batch = pages.slice(i, i + batchSize);
+        await Promise.all(
+          batch.map(async (page) => {
+            try {
+              await visit(page, urlProperties, database);
+            } catch (error) {
+              stats.errors++;
+              console.error(`Error processing ${page.url}:`, error.message);
+            }
+          })
+        );
+      }
+    } catch (error) {
+      stats.errors++;
+      console.error(`Error processing database ${dbId}:`, error.message);
+    }
+  }
 }
 
 /**
@@ -93,15 +129,36 @@ async function updatePageUrl(pageId, propertyId, newUrl) {
 /**
  * Processes URLs in Notion databases
  * @param {Object} options - Processing options
+ * @param {string[]} options.databaseIds - Notion databases to clean
+ * @param {boolean} [options.expandRedirects] - Follow short links and permanent redirects
+ * @param {string[]} [options.redirectDenyList] - Domains never contacted to follow a redirect
+ * @param {number} [options.maxPerHost] - HTTPS checks allowed at once on one host
+ * @param {string} [options.journalFile] - Where each applied change is recorded, for revert-urls.js
+ * @param {boolean} [options.cache] - Keep local snapshots and only fetch pages edited since the last
+ *   run, and remember which sites serve HTTPS
+ * @param {boolean} [options.offline] - Use the local snapshots without contacting Notion (dry run only)
+ * @param {boolean} [options.refresh] - Fetch every page again and replace the snapshots
  * @returns {Promise<void>}
  */
 async function processNotionUrls(options = {}) {
   const {
+    databaseIds,
     dryRun = true, // Default to dry run for safety
-    batchSize = 10, // Number of concurrent URL checks
+    batchSize = 10, // Number of concurrent URL checks; Notion updates are queued by the shared client
     verbose = true, // Detailed logging
+    expandRedirects = false, // Replace short links with where they lead
+    redirectDenyList = [],
+    maxPerHost = 2,
+    journalFile = DEFAULT_JOURNAL_FILE,
+    cache = false,
+    offline = false,
+    refresh = false,
   } = options;
 
+  if (offline && !dryRun) {
+    throw new Error("Changes can't be applied offline; run without offline or as a dry run");
+  }
+
   console.log(`\n=== Notion URL Cleaning ${dryRun ? "(DRY RUN) " : ""}===\n`);
 
   const stats = {
@@ -112,79 +169,72 @@ async function processNotionUrls(options = {}) {
     errors: 0,
   };
 
-  // Process each database
-  for (const dbId of DATABASE_IDS) {
-    try {
-      console.log(`Processing database: ${dbId}`);
-      stats.totalDatabases++;
+  // Each site is probed for HTTPS once, however many of its URLs there are
+  const httpsProbe = new HttpsProbe({
+    maxPerHost,
+    cacheFile: cache || offline || refresh ? path.join(resolveCacheDir(), "https-probes.json") : null,
+  });
+  await httpsProbe.load();
 
-      // Get database schema and find URL properties
-      const database = await notion.databases.retrieve({
-        database_id: dbId,
-      });
-      const urlProperties = findUrlProperties(database.properties);
+  const fetchOptions = { cache, offline, refresh };
+  await forEachUrlPage({ databaseIds, batchSize, fetchOptions }, stats, (page, urlProperties) =>
+    Promise.all(
+      urlProperties.map(async (prop) => {
+        try {
+          const currentUrl = page.properties[prop.id]?.url;
+          if (!currentUrl) return;
 
-      if (urlProperties.length === 0) {
-        console.log("No URL properties found in this database, skipping...\n");
-        continue;
-      }
+          stats.totalUrlsProcessed++;
 
-      // Get all pages from this database
-      const pages = await getAllPages(dbId);
-      stats.totalPages += pages.length;
+          // Clean the URL
+          const cleaned = await cleanUrl(currentUrl, {
+            ...CLEANING_OPTIONS,
+            expandRedirects,
+            redirectDenyList,
+            httpsProbe,
+          });
 
-      console.log(
-        `Found ${pages.length} pages with ${urlProperties.length} URL properties each`
-      );
+          if (cleaned.cleaned !== currentUrl) {
+            stats.totalUrlsChanged++;
 
-      // Process pages in batches
-      for (let i = 0; i < pages.length; i += batchSize) {
-        const batch = pages.slice(i, i + batchSize);
-        const batchPromises = batch.flatMap((page) => {
-          return urlProperties.map(async (prop) => {
-            try {
-              const currentUrl = page.properties[prop.id]?.url;
-              if (!currentUrl) return;
-
-              stats.totalUrlsProcessed++;
-
-              // Clean the URL
-              const cleaned = await cleanUrl(currentUrl, CLEANING_OPTIONS);
-
-              if (cleaned.cleaned !== currentUrl) {
-                stats.totalUrlsChanged++;
-
-                if (verbose) {
-                  console.log(`\nPage: ${page.url}`);
-                  console.log(`Property: ${prop.name}`);
-                  console.log(`Original: ${currentUrl}`);
-                  console.log(`Cleaned:  ${cleaned.cleaned}`);
-                  console.log("Changes:");
-                  cleaned.changes.forEach((change) =>
-                    console.log(`- ${change}`)
-                  );
-                }
-
-                if (!dryRun) {
-                  await updatePageUrl(page.id, prop.id, cleaned.cleaned);
-                  if (verbose) console.log("✅ Updated in Notion");
-                }
-              }
-            } catch (error) {
-              stats.errors++;
-              console.error(`Error processing ${page.url}:`, error.message);
+            if (verbose) {
+              console.log(`\nPage: ${page.url}`);
+              console.log(`Property: ${prop.name}`);
+              console.log(`Original: ${currentUrl}`);
+              console.log(`Cleaned:  ${cleaned.cleaned}`);
+              console.log("Changes:");
+              cleaned.changes.forEach((change) =>
+                console.log(`- ${change}`)
+              );
             }
-          });
-        });
 
-        // Wait for batch to complete
-        await Promise.all(batchPromises);
-      }
-    } catch (error) {
-      stats.errors++;
-      console.error(`Error processing database ${dbId}:`, error.message);
-    }
-  }
+            if (!dryRun) {
+              await journalChange(
+                journalFile,
+                {
+                  changedAt: new Date().toISOString(),
+                  pageId: page.id,
+                  pageUrl: page.url,
+                  databaseId: page.parent?.database_id,
+                  property: prop.id,
+                  oldValue: currentUrl,
+                  newValue: cleaned.cleaned,
+                  changes: cleaned.changes,
+                },
+                () => updatePageUrl(page.id, prop.id, cleaned.cleaned)
+              );
+              if (verbose) console.log("✅ Updated in Notion");
+            }
+          }
+        } catch (error) {
+          stats.errors++;
+          console.error(`Error processing ${page.url}:`, error.message);
+        }
+      })
+    )
+  );
+
+  await httpsProbe.save();
 
   // Print summary
   console.log("\n=== Summary ===");
@@ -192,22 +242,32 @@ async function processNotionUrls(options = {}) {
   console.log(`Pages processed: ${stats.totalPages}`);
   console.log(`URLs processed: ${stats.totalUrlsProcessed}`);
   console.log(`URLs changed: ${stats.totalUrlsChanged}`);
+  console.log(`HTTPS checks: ${httpsProbe.probes} (${httpsProbe.results.size} sites)`);
   console.log(`Errors encountered: ${stats.errors}`);
+  logRequestStats();
 
   if (dryRun && stats.totalUrlsChanged > 0) {
     console.log("\n⚠️  This was a dry run. No changes were made to Notion.");
-    console.log("Run with {dryRun: false} to apply changes.");
+    console.log("Run with --apply to apply changes.");
+  } else if (stats.totalUrlsChanged > 0) {
+    console.log(`\nChanges recorded in ${journalFile}; undo them with "joplin2notion revert".`);
   }
 }
 
-// Run the script
-const options = {
-  dryRun: true, // Set to false to actually update Notion
-  verbose: true, // Set to false for less output
-  batchSize: 10, // Adjust based on your rate limit needs
-};
+export { findUrlProperties, forEachUrlPage, processNotionUrls };
 
-processNotionUrls(options).catch((error) => {
-  console.error("Script failed:", error);
-  process.exit(1);
-});
+// Run the script directly with settings from .env
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const options = {
+    // Comma-separated list of database IDs in .env
+    databaseIds: process.env.NOTION_DATABASE_IDS.split(","),
+    dryRun: true, // Set to false to actually update Notion
+    verbose: true, // Set to false for less output
+    batchSize: 10, // Number of URLs checked at once
+  };
+
+  processNotionUrls(options).catch((error) => {
+    console.error("Script failed:", error);
+    process.exit(1);
+  });
+}